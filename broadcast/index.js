@@ -0,0 +1,32 @@
+/* global process */
+
+import dotenv from "dotenv";
+import { createMemoryBroadcast } from "./memory.js";
+import { createMongoBroadcast } from "./mongo.js";
+
+dotenv.config();
+
+// Shared state for socket broadcasts, picked with BROADCAST_DRIVER. "memory"
+// only works with a single server instance, "mongo" lets several instances
+// serve the same sessions. Every driver implements:
+//   attach(io) -> installs its Socket.IO adapter, once the database is up
+//   claimBroadcast(sessionId, interval) -> 0 to send now, ms until the
+//     throttled send this caller should schedule, or null if one is pending
+//   finishBroadcast(sessionId) -> marks a scheduled send as done
+//   getSnapshot(sessionId) -> { seq, rows } | null
+//   saveSnapshot(sessionId, expectedSeq, { seq, rows }) -> false if the
+//     stored seq is no longer expectedSeq
+//   clear(sessionId)
+const drivers = {
+  memory: createMemoryBroadcast,
+  mongo: createMongoBroadcast,
+};
+
+const driver = process.env.BROADCAST_DRIVER || "memory";
+if (!drivers[driver]) {
+  throw new Error(`Unknown BROADCAST_DRIVER "${driver}", use one of ${Object.keys(drivers).join(", ")}`);
+}
+
+const broadcast = drivers[driver]();
+
+export default broadcast;
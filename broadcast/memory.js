@@ -0,0 +1,55 @@
+// Broadcast state kept in this process, for a single server instance (and
+// as the stand-in for the shared drivers in development)
+export const createMemoryBroadcast = () => {
+  const states = new Map();
+
+  const stateFor = (sessionId) => {
+    if (!states.has(sessionId)) {
+      states.set(sessionId, { seq: 0, rows: [], lastSentAt: 0, scheduledFor: 0 });
+    }
+    return states.get(sessionId);
+  };
+
+  return {
+    // Socket.IO's default adapter already is in-memory
+    attach: async () => {},
+
+    claimBroadcast: async (sessionId, interval) => {
+      const state = stateFor(sessionId);
+      const now = Date.now();
+
+      if (now - state.lastSentAt >= interval) {
+        state.lastSentAt = now;
+        return 0;
+      }
+      if (state.scheduledFor > now) return null;
+
+      state.scheduledFor = state.lastSentAt + interval;
+      return state.scheduledFor - now;
+    },
+
+    finishBroadcast: async (sessionId) => {
+      const state = stateFor(sessionId);
+      state.lastSentAt = Date.now();
+      state.scheduledFor = 0;
+    },
+
+    getSnapshot: async (sessionId) => {
+      const state = states.get(sessionId);
+      return state?.seq ? { seq: state.seq, rows: state.rows } : null;
+    },
+
+    saveSnapshot: async (sessionId, expectedSeq, { seq, rows }) => {
+      const state = stateFor(sessionId);
+      if (state.seq !== expectedSeq) return false;
+
+      state.seq = seq;
+      state.rows = rows;
+      return true;
+    },
+
+    clear: async (sessionId) => {
+      states.delete(sessionId);
+    },
+  };
+};
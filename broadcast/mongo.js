@@ -0,0 +1,84 @@
+/* global process */
+
+import { createAdapter } from "@socket.io/mongo-adapter";
+import mongoose from "mongoose";
+import { LeaderboardState } from "../models/index.js";
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// Relays Socket.IO broadcasts between instances through a capped collection
+// and keeps the throttle state in LeaderboardState, so every instance sees
+// the same sequence numbers and only one of them sends each update
+export const createMongoBroadcast = () => {
+  const collectionName = process.env.BROADCAST_COLLECTION || "socket.io-adapter-events";
+
+  return {
+    // Needs the database connection, so it runs after connectDB
+    attach: async (io) => {
+      const { db } = mongoose.connection;
+      try {
+        await db.createCollection(collectionName, { capped: true, size: 10 * 1024 * 1024 });
+      } catch (error) {
+        if (error.codeName !== "NamespaceExists") throw error;
+      }
+      io.adapter(createAdapter(db.collection(collectionName)));
+    },
+
+    claimBroadcast: async (sessionId, interval) => {
+      const now = new Date();
+      await LeaderboardState.updateOne(
+        { sessionId },
+        { $setOnInsert: { seq: 0, rows: [] } },
+        { upsert: true }
+      );
+
+      const sendNow = await LeaderboardState.findOneAndUpdate(
+        {
+          sessionId,
+          $or: [{ lastSentAt: null }, { lastSentAt: { $lte: new Date(now - interval) } }],
+        },
+        { lastSentAt: now }
+      );
+      if (sendNow) return 0;
+
+      // Nobody has a send pending (or the instance that had one went away)
+      const scheduled = await LeaderboardState.findOneAndUpdate(
+        { sessionId, $or: [{ scheduledFor: null }, { scheduledFor: { $lte: now } }] },
+        [{ $set: { scheduledFor: { $add: ["$lastSentAt", interval] } } }],
+        { new: true }
+      );
+      return scheduled ? Math.max(0, scheduled.scheduledFor - now) : null;
+    },
+
+    finishBroadcast: async (sessionId) => {
+      await LeaderboardState.updateOne(
+        { sessionId },
+        { lastSentAt: new Date(), scheduledFor: null }
+      );
+    },
+
+    getSnapshot: async (sessionId) => {
+      const state = await LeaderboardState.findOne({ sessionId }).lean();
+      return state?.seq ? { seq: state.seq, rows: state.rows } : null;
+    },
+
+    saveSnapshot: async (sessionId, expectedSeq, { seq, rows }) => {
+      try {
+        const result = await LeaderboardState.updateOne(
+          { sessionId, seq: expectedSeq },
+          { seq, rows },
+          { upsert: true }
+        );
+        return result.matchedCount + result.upsertedCount === 1;
+      } catch (error) {
+        // Another instance saved a newer snapshot in the meantime
+        if (isDuplicateKey(error)) return false;
+        throw error;
+      }
+    },
+
+    clear: async (sessionId) => {
+      await LeaderboardState.deleteOne({ sessionId });
+    },
+  };
+};
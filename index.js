@@ -3,9 +3,26 @@ import * as dotenv from "dotenv";
 import express from "express";
 import { createServer } from "http";
 import { Server } from "socket.io";
+import broadcast from "./broadcast/index.js";
 import connectDB from "./config/database.js";
-import { Player } from "./models/index.js";
+import {
+  adminOnly,
+  authenticateSocket,
+  authenticateSpectator,
+  verifyPlayerToken,
+} from "./middleware/auth.js";
+import { Player, Session } from "./models/index.js";
 import routes from "./routes.js";
+import { hasSessionRole, hostRoom } from "./services/hosts.js";
+import { failInterruptedExports } from "./services/imageExport.js";
+import { getLeaderboardSnapshot } from "./services/leaderboard.js";
+import { playerRoom, resolveMatchConfirmation } from "./services/matches.js";
+import { attachPlayer, detachSocket, startPresenceSweep } from "./services/presence.js";
+import { startRetentionSweep } from "./services/retention.js";
+import { restoreSessionTimers, timerActions } from "./services/sessionState.js";
+import { buildSpectatorState, SPECTATOR_NAMESPACE } from "./services/spectators.js";
+import { startWebhookRetries } from "./services/webhooks.js";
+import { HttpError } from "./utils/errors.js";
 
 /* global process */
 
@@ -25,7 +42,7 @@ const io = new Server(server, {
 app.use(
   cors({
     origin: "*", // Allow all origins
-    methods: ["GET", "POST", "PATCH"],
+    methods: ["GET", "POST", "PATCH", "PUT", "DELETE"],
     credentials: true,
   })
 );
@@ -37,33 +54,178 @@ app.set('io', io);
 app.use("/api", routes);
 
 // Socket.io connection
+io.use(authenticateSocket);
+
 io.on("connection", (socket) => {
   console.log("a user connected");
 
-  socket.on("joinSession", (sessionId) => {
+  // Players may identify themselves here ({ sessionId, playerId, playerToken })
+  // so their presence is tracked, hosts and older clients just send the id
+  socket.on("joinSession", async (payload) => {
+    const { sessionId, playerId, playerToken } =
+      typeof payload === "object" && payload !== null ? payload : { sessionId: payload };
+
+    // Personal and host rooms are only ever joined by the server
+    if (typeof sessionId !== "string" || /^(player|host):/.test(sessionId)) return;
     socket.join(sessionId);
     console.log(`Socket ${socket.id} joined session ${sessionId}`);
+
+    // Hosts also get the events meant for them only, e.g. a new join code
+    if (socket.data.admin) {
+      try {
+        const admin = await verifyAdminToken(socket.handshake.auth.token);
+        const session = admin && (await Session.findOne({ sessionId }).select("ownerId hosts"));
+        if (session && hasSessionRole(admin, session, "viewer")) {
+          socket.join(hostRoom(sessionId));
+        }
+      } catch (error) {
+        console.error("Error checking host access:", error);
+      }
+    }
+
+    if (!playerToken) return;
+    try {
+      const player = await verifyPlayerToken(playerToken);
+      if (!player || String(player._id) !== String(playerId) || player.sessionId !== sessionId) {
+        console.warn(`Rejected player identity for ${playerId} on socket ${socket.id}`);
+        return;
+      }
+
+      socket.join(playerRoom(player._id));
+      await attachPlayer(io, socket, player);
+    } catch (error) {
+      console.error("Error identifying player:", error);
+    }
   });
 
   socket.on("disconnect", () => {
     console.log("user disconnected");
+    detachSocket(io, socket);
   });
 
-  socket.on("playerReady", async ({ playerId, sessionId }) => {
+  socket.on("playerReady", async (payload) => {
     try {
-      await Player.findByIdAndUpdate(playerId, { hasProfile: true });
+      const { playerId, sessionId, playerToken } = payload ?? {};
+      const player = await verifyPlayerToken(playerToken);
+      if (
+        !player ||
+        String(player._id) !== String(playerId) ||
+        player.sessionId !== sessionId
+      ) {
+        console.warn(`Rejected playerReady for player ${playerId}`);
+        return;
+      }
+
+      // Personal room for events addressed to this player only
+      socket.join(playerRoom(player._id));
+      await attachPlayer(io, socket, player);
+
+      // hasProfile is only set by the profile route, once the profile is valid
       const players = await Player.find({ sessionId });
       io.to(sessionId).emit("updatePlayers", players);
     } catch (error) {
       console.error("Error setting player ready:", error);
     }
   });
+
+  // Full leaderboard for clients that joined late or missed a diff
+  socket.on("getLeaderboard", async (payload, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    try {
+      const { sessionId } = payload ?? {};
+      if (typeof sessionId !== "string") {
+        return reply({ error: "sessionId is required" });
+      }
+      reply(await getLeaderboardSnapshot(sessionId));
+    } catch (error) {
+      console.error("Error fetching leaderboard:", error);
+      reply({ error: "Failed to fetch leaderboard" });
+    }
+  });
+
+  // Found player answers a match confirmation request (handshake mode)
+  socket.on("confirmMatch", async (payload, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    try {
+      const { confirmationId, playerToken, accept } = payload ?? {};
+      const player = await verifyPlayerToken(playerToken);
+      if (!player) {
+        return reply({ error: "Player authentication required" });
+      }
+
+      const result = await resolveMatchConfirmation(io, {
+        player,
+        confirmationId,
+        accept: accept === true,
+      });
+      reply(result);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return reply({ error: error.message, code: error.code });
+      }
+      console.error("Error confirming match:", error);
+      reply({ error: "Failed to confirm match" });
+    }
+  });
+
+  // Host timer controls, same as the /timer REST routes
+  for (const action of ["extend", "pause", "resume"]) {
+    socket.on(
+      `${action}Timer`,
+      adminOnly(socket, async (payload, callback) => {
+        const reply = typeof callback === "function" ? callback : () => {};
+        try {
+          const { sessionId, seconds } = payload ?? {};
+          if (typeof sessionId !== "string") {
+            return reply({ error: "sessionId is required" });
+          }
+          const current = await Session.findOne({ sessionId });
+          if (!current || !hasSessionRole(socket.data.admin, current, "co-host")) {
+            return reply({ error: "You don't have access to this session", code: "FORBIDDEN" });
+          }
+
+          const session = await timerActions[action](io, sessionId, seconds);
+          reply({ endsAt: session.endsAt, timerRemainingMs: session.timerRemainingMs });
+        } catch (error) {
+          if (error instanceof HttpError) {
+            return reply({ error: error.message, code: error.code });
+          }
+          console.error(`Error running ${action} on timer:`, error);
+          reply({ error: `Failed to ${action} timer` });
+        }
+      })
+    );
+  }
+});
+
+// Read-only projector screens. They only receive, there is nothing to send.
+const spectators = io.of(SPECTATOR_NAMESPACE);
+spectators.use(authenticateSpectator);
+
+spectators.on("connection", async (socket) => {
+  const { sessionId } = socket.data;
+  socket.join(sessionId);
+
+  try {
+    socket.emit("spectatorState", {
+      ...(await buildSpectatorState(sessionId)),
+      leaderboard: await getLeaderboardSnapshot(sessionId),
+    });
+  } catch (error) {
+    console.error("Error sending spectator state:", error);
+  }
 });
 
 // Start server
 const PORT = process.env.PORT || 3001;
 const startServer = async () => {
   await connectDB(); // connectDB already handles its errors
+  await broadcast.attach(io);
+  await restoreSessionTimers(io);
+  await failInterruptedExports();
+  startRetentionSweep(io);
+  startPresenceSweep(io);
+  startWebhookRetries();
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
@@ -0,0 +1,212 @@
+/* global process */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { Host, Player, RevokedToken, Session } from "../models/index.js";
+
+dotenv.config();
+
+const TOKEN_TTL = parseInt(process.env.ADMIN_TOKEN_TTL) || 12 * 60 * 60; // seconds
+
+// ADMIN_TOKEN used to be handed out as-is, it is now only the signing secret
+let tokenSecret = process.env.ADMIN_TOKEN_SECRET || process.env.ADMIN_TOKEN;
+if (!tokenSecret) {
+  console.warn(
+    "ADMIN_TOKEN_SECRET is not set, admin tokens will not survive a restart"
+  );
+  tokenSecret = crypto.randomBytes(32).toString("hex");
+}
+
+const sign = (data) =>
+  crypto.createHmac("sha256", tokenSecret).update(data).digest("base64url");
+
+// Constant-time string comparison
+export const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a ?? ""));
+  const bufB = Buffer.from(String(b ?? ""));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// claims: { sub: username, hid: host id (absent for the env admin),
+// adm: global admin }
+export const issueAdminToken = ({ sub, hid, adm }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub,
+    hid,
+    adm: !!adm,
+    jti: crypto.randomBytes(16).toString("hex"),
+    iat: now,
+    exp: now + TOKEN_TTL,
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+  return { token: `${body}.${sign(body)}`, expiresAt: new Date(payload.exp * 1000) };
+};
+
+// Returns the token payload, or null if the token is malformed, forged,
+// expired, revoked or belongs to a disabled host. A host's admin flag is
+// read from the database, not trusted from the token.
+export const verifyAdminToken = async (token) => {
+  if (typeof token !== "string") return null;
+
+  const [body, signature] = token.split(".");
+  if (!body || !signature || !safeEqual(signature, sign(body))) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString());
+  } catch {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+  if (await RevokedToken.exists({ jti: payload.jti })) return null;
+  if (!payload.hid) return payload; // The account from the environment
+
+  const host = await Host.findById(payload.hid).select("isAdmin disabled tokensValidAfter");
+  if (!host || host.disabled) return null;
+  if (host.tokensValidAfter && payload.iat * 1000 < host.tokensValidAfter.getTime()) return null;
+
+  return { ...payload, adm: host.isAdmin === true };
+};
+
+export const revokeAdminToken = async (payload) => {
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { expiresAt: new Date(payload.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+export const getBearerToken = (req) => {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" ? token : null;
+};
+
+// Express middleware for host/admin routes
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const admin = await verifyAdminToken(getBearerToken(req));
+    if (!admin) {
+      return res.status(401).json({ error: "Admin authentication required" });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error("Error verifying admin token:", error);
+    res.status(500).json({ error: "Failed to verify admin token" });
+  }
+};
+
+// Socket.io middleware: a token in the handshake marks the socket as admin.
+// Sockets without a token still connect as regular players.
+export const authenticateSocket = async (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+  if (!token) return next();
+
+  try {
+    const admin = await verifyAdminToken(token);
+    if (!admin) return next(new Error("Invalid admin token"));
+
+    socket.data.admin = admin;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Socket.io middleware for the spectator namespace: the handshake must carry
+// a session id and that session's spectator key
+export const authenticateSpectator = async (socket, next) => {
+  const { sessionId, key } = socket.handshake.auth || {};
+  if (typeof sessionId !== "string" || !key) {
+    return next(new Error("Spectator key required"));
+  }
+
+  try {
+    const session = await Session.findOne({ sessionId }).select("+spectatorKey");
+    if (!session?.spectatorKey || !safeEqual(key, session.spectatorKey)) {
+      return next(new Error("Invalid spectator key"));
+    }
+
+    socket.data.sessionId = sessionId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Wraps a socket event handler so only authenticated admins can trigger it.
+// The token is re-checked on every event so logout takes effect immediately.
+export const adminOnly = (socket, handler) => async (...args) => {
+  const callback = typeof args[args.length - 1] === "function" ? args[args.length - 1] : null;
+  const admin = socket.data.admin && (await verifyAdminToken(socket.handshake.auth.token));
+
+  if (!admin) {
+    if (callback) callback({ error: "Admin authentication required" });
+    return;
+  }
+
+  socket.data.admin = admin;
+  return handler(...args);
+};
+
+// Player tokens are random secrets handed out once on join, only their hash
+// is stored on the Player
+export const hashPlayerToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export const issuePlayerToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashPlayerToken(token) };
+};
+
+// Recovery codes are short enough to write down, and let a player get back
+// in (with a fresh token) from a device that lost its token
+const RECOVERY_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+export const normalizeRecoveryCode = (code) =>
+  String(code ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+export const issueRecoveryCode = () => {
+  let code = "";
+  for (let i = 0; i < 8; i++) {
+    code += RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)];
+  }
+  return { code, codeHash: hashPlayerToken(code) };
+};
+
+// Returns the player owning the token, or null
+export const verifyPlayerToken = async (token) => {
+  if (typeof token !== "string" || !token) return null;
+  return Player.findOne({ tokenHash: hashPlayerToken(token) });
+};
+
+// Express middleware for player-scoped routes. The caller must present the
+// token of the player named by :playerId / finderId, inside :sessionId.
+export const requirePlayer = async (req, res, next) => {
+  try {
+    const player = await verifyPlayerToken(req.get("x-player-token"));
+    if (!player) {
+      return res.status(401).json({ error: "Player authentication required" });
+    }
+
+    const claimedId = req.params.playerId || req.body?.finderId;
+    const { sessionId } = req.params;
+    if (
+      (claimedId && String(claimedId) !== String(player._id)) ||
+      (sessionId && sessionId !== player.sessionId)
+    ) {
+      return res.status(403).json({ error: "Token does not belong to this player" });
+    }
+
+    req.player = player;
+    next();
+  } catch (error) {
+    console.error("Error verifying player token:", error);
+    res.status(500).json({ error: "Failed to verify player token" });
+  }
+};
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { ExportJob, Player, Session } from "../models/index.js";
+import { hasSessionRole } from "../services/hosts.js";
+import { requireAdmin } from "./auth.js";
+
+// Where a route finds the session it acts on
+export const fromSessionParam = async (req) => req.params.sessionId;
+
+export const fromPlayerParam = async (req) => {
+  const { playerId } = req.params;
+  if (!mongoose.isValidObjectId(playerId)) return null;
+  return (await Player.findById(playerId).select("sessionId"))?.sessionId;
+};
+
+export const fromExportJobParam = async (req) => {
+  const { jobId } = req.params;
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  return (await ExportJob.findById(jobId).select("sessionId"))?.sessionId;
+};
+
+// Host routes on one session: a valid host token plus at least `minRole`
+// (viewer, co-host or owner) on that session
+export const requireSessionRole = (minRole, resolveSessionId = fromSessionParam) => [
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const sessionId = await resolveSessionId(req);
+      const session =
+        sessionId != null
+          ? await Session.findOne({ sessionId }).select("sessionId ownerId hosts")
+          : null;
+      if (!session) {
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      if (!hasSessionRole(req.admin, session, minRole)) {
+        return res
+          .status(403)
+          .json({ error: "You don't have access to this session", code: "FORBIDDEN" });
+      }
+
+      next();
+    } catch (error) {
+      console.error("Error checking session access:", error);
+      res.status(500).json({ error: "Failed to check session access" });
+    }
+  },
+];
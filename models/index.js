@@ -6,13 +6,17 @@ const playerSchema = new mongoose.Schema(
     score: { type: Number, default: 0 },
     wrongGuesses: { type: Number, default: 0 },
     peopleWhoKnowYou: { type: Number, default: 0 },
+    peopleKnown: { type: Number, default: 0 },
     avatar: String,
     sessionId: String,
+    teamId: { type: String, default: null }, // Set in team mode
     status: {
       type: String,
       enum: ["connected", "disconnected"],
       default: "connected",
     },
+    lastSeenAt: { type: Date },
+    disconnectedAt: { type: Date },
     profile: {
       type: mongoose.Schema.Types.Mixed,
     },
@@ -22,22 +26,71 @@ const playerSchema = new mongoose.Schema(
         playerName: { type: String },
         selfieUrl: { type: String },
         timestamp: { type: Date, default: Date.now },
+        hidden: { type: Boolean, default: false }, // Selfie hidden by a host
       },
     ],
+    hiddenFields: [String], // Profile answers hidden by a host
+    deviceId: { type: String, select: false }, // Sent by the client on join, for bans
     gameEndedAt: { type: Date },
-    preserveData: { type: Boolean, default: true },
+    completedAt: { type: Date }, // When the player found everyone
+    isCompleted: { type: Boolean, default: false },
+    preserveData: { type: Boolean, default: false }, // Opt-in to outlive session retention
     hasProfile: { type: Boolean, default: false },
     lastMatchAt: { type: Date },
     timesAssigned: { type: Number, default: 0 },
+    activeAssignments: { type: Number, default: 0 }, // Finders currently hunting this player
+    timesSkipped: { type: Number, default: 0 }, // Times others skipped this profile
+    skipsMade: { type: Number, default: 0 },
+    currentAssignment: {
+      playerId: { type: mongoose.Schema.Types.ObjectId, ref: "Player" },
+      assignedAt: { type: Date },
+    },
+    skipped: [
+      {
+        _id: false,
+        playerId: { type: mongoose.Schema.Types.ObjectId, ref: "Player" },
+        skippedAt: { type: Date },
+      },
+    ],
+    tokenHash: { type: String, select: false }, // sha256 of the player's secret token
+    recoveryCodeHash: { type: String, select: false }, // sha256 of the recovery code
+    confirmCode: { type: String, select: false }, // Shown only to the player themselves
+    failedCodeAttempts: { type: Number, default: 0 },
+    codeLockedUntil: { type: Date },
+    currentStreak: { type: Number, default: 0 }, // Consecutive correct matches
+    ledgerStartedAt: { type: Date }, // When the score ledger baseline was taken
   },
   {
     timestamps: true,
     capped: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        delete ret.recoveryCodeHash;
+        delete ret.confirmCode;
+        delete ret.deviceId;
+        // Hidden answers and selfies never leave the server
+        if (ret.profile && ret.hiddenFields?.length) {
+          ret.profile = Object.fromEntries(
+            Object.entries(ret.profile).filter(([field]) => !ret.hiddenFields.includes(field))
+          );
+        }
+        if (ret.matches) {
+          ret.matches = ret.matches.map((match) =>
+            match.hidden ? { ...match, selfieUrl: null } : match
+          );
+        }
+        return ret;
+      },
+    },
   }
 );
 
 playerSchema.index({ sessionId: 1, score: -1, lastMatchAt: 1 }); // For Leaderboard
-playerSchema.index({ sessionId: 1, timesAssigned: 1 }); // For Profile Assignment
+playerSchema.index({ sessionId: 1, activeAssignments: 1, timesAssigned: 1 }); // For Profile Assignment
+playerSchema.index({ sessionId: 1, "currentAssignment.assignedAt": 1 }, { sparse: true }); // For expiry
+playerSchema.index({ tokenHash: 1 }, { unique: true, sparse: true }); // For Player Auth
+playerSchema.index({ sessionId: 1, recoveryCodeHash: 1 }, { sparse: true }); // For Resume
 playerSchema.set("collection", "players");
 
 const connectionSchema = new mongoose.Schema({
@@ -45,26 +98,318 @@ const connectionSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now },
 });
 
+const questionSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    field: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ["text", "single_choice", "multiple_choice", "photo"],
+      default: "text",
+    },
+    required: { type: Boolean, default: true },
+    options: [String], // For choice questions
+  },
+  { _id: false }
+);
+
 const sessionSchema = new mongoose.Schema(
   {
     sessionId: { type: String, unique: true },
+    joinCode: { type: String, unique: true, sparse: true }, // Short code players type in
     name: { type: String, required: true },
     maxPlayers: { type: Number, required: true, min: 2, max: 300 },
     status: {
       type: String,
-      enum: ["waiting", "playing", "ended"],
+      enum: ["waiting", "playing", "paused", "ended"],
       default: "waiting",
     },
-    questions: [
+    playerCount: { type: Number, default: 0 }, // Kept in step with joins for maxPlayers
+    scoring: {
+      finderPoints: { type: Number, default: 100 },
+      foundPoints: { type: Number, default: 50 },
+      wrongMatchPoints: { type: Number, default: -10 },
+      minScore: { type: Number, default: null },
+      speedBonus: {
+        maxPoints: { type: Number, default: 0 },
+        decayMinutes: { type: Number, default: 30 },
+      },
+      streakBonus: {
+        points: { type: Number, default: 0 },
+        every: { type: Number, default: 3 },
+      },
+      firstToFind: [
+        {
+          _id: false,
+          matches: { type: Number, required: true },
+          points: { type: Number, required: true },
+          awardedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
+        },
+      ],
+    },
+    startedAt: { type: Date },
+    endedAt: { type: Date },
+    durationSeconds: { type: Number, default: null }, // Optional time limit
+    endsAt: { type: Date, default: null }, // Set while the timer runs
+    timerRemainingMs: { type: Number, default: null }, // Set while the timer is paused
+    timerPaused: { type: Boolean, default: false }, // Paused by the host, not by pausing the game
+    purgedAt: { type: Date }, // Set when retention deleted all but preserved players
+    allowProfileEdits: { type: Boolean, default: false }, // After the game started
+    duplicateNamePolicy: {
+      type: String,
+      enum: ["reject", "rename", "allow"],
+      default: "reject",
+    },
+    matchVerification: {
+      type: String,
+      enum: ["code", "handshake"],
+      default: "code",
+    },
+    questions: [questionSchema],
+    teams: [
       {
-        title: { type: String, required: true },
-        field: { type: String, required: true },
+        _id: false,
+        teamId: { type: String, required: true },
+        name: { type: String, required: true },
+        color: String,
       },
     ],
+    bans: {
+      type: [
+        {
+          name: String, // Lowercased
+          deviceId: String,
+          reason: String,
+          bannedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+    blockedWords: { type: [String], select: false }, // On top of BLOCKED_WORDS
+    spectatorKey: { type: String, select: false }, // Access key for projector screens
+    milestones: [
+      {
+        _id: false,
+        key: { type: String, required: true }, // e.g. "firstFinisher", "matches:100"
+        label: String,
+        at: { type: Date, default: Date.now },
+        player: {
+          playerId: { type: mongoose.Schema.Types.ObjectId, ref: "Player" },
+          name: String,
+        },
+      },
+    ],
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "Host" }, // Creator
+    hosts: [
+      {
+        _id: false,
+        hostId: { type: mongoose.Schema.Types.ObjectId, ref: "Host", required: true },
+        role: { type: String, enum: ["co-host", "viewer"], required: true },
+      },
+    ],
+    teamMode: {
+      enabled: { type: Boolean, default: false },
+      autoAssign: { type: Boolean, default: true }, // Balance players into teams on join
+      sameTeamMatches: { type: String, enum: ["count", "blocked"], default: "count" },
+      sameTeamMultiplier: { type: Number, default: 1 }, // Points factor within a team
+    },
   },
   { timestamps: true }
 );
 
+sessionSchema.index({ ownerId: 1 });
+sessionSchema.index({ "hosts.hostId": 1 });
+
+// Host accounts. What a host may do on a session comes from its ownerId and
+// hosts; isAdmin hosts see and manage everything.
+const hostSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    displayName: String,
+    passwordHash: { type: String, required: true, select: false },
+    isAdmin: { type: Boolean, default: false },
+    disabled: { type: Boolean, default: false },
+    tokensValidAfter: Date, // Tokens issued before this are rejected
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// Saved question sets hosts can pick from when creating a session
+const questionTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    description: String,
+    questions: [questionSchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Host" }, // Unset for the env admin
+  },
+  { timestamps: true }
+);
+
+// Pending "found player confirms" requests for handshake verified sessions
+const matchConfirmationSchema = new mongoose.Schema(
+  {
+    sessionId: String,
+    finderId: { type: mongoose.Schema.Types.ObjectId, ref: "Player" },
+    foundPlayerId: { type: mongoose.Schema.Types.ObjectId, ref: "Player" },
+    selfieUrl: String,
+    status: {
+      type: String,
+      enum: ["pending", "confirmed", "rejected"],
+      default: "pending",
+    },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Keep resolved and expired requests around for a day
+matchConfirmationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Background exports (e.g. the selfie ZIP), stored through the storage driver
+const exportJobSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true },
+    type: { type: String, enum: ["images"], required: true },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed"],
+      default: "pending",
+    },
+    progress: { type: Number, default: 0 }, // Images processed so far
+    total: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+    storageKey: String,
+    downloadToken: { type: String, select: false },
+    error: String,
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Append-only ledger of score changes. A player's score is the sum of the
+// deltas of their events, so it can always be rebuilt from here.
+const scoreEventSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true },
+    playerId: { type: mongoose.Schema.Types.ObjectId, ref: "Player", required: true },
+    type: {
+      type: String,
+      enum: ["match", "found", "wrong_match", "adjustment", "revocation"],
+      required: true,
+    },
+    delta: { type: Number, required: true },
+    actor: {
+      role: { type: String, enum: ["player", "admin", "system"] },
+      id: String, // Player id or admin username
+    },
+    reason: String,
+    relatedPlayers: [{ type: mongoose.Schema.Types.ObjectId, ref: "Player" }],
+    breakdown: { type: mongoose.Schema.Types.Mixed }, // Points per bonus for matches
+    revokedAt: { type: Date }, // Set on match events undone by a revocation
+  },
+  { timestamps: true }
+);
+
+scoreEventSchema.index({ playerId: 1, createdAt: 1 });
+scoreEventSchema.index({ sessionId: 1, createdAt: 1 });
+
+// Last broadcast leaderboard and throttle state per session, shared by all
+// server instances when BROADCAST_DRIVER=mongo
+const leaderboardStateSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true, unique: true },
+    seq: { type: Number, default: 0 },
+    rows: { type: mongoose.Schema.Types.Mixed, default: [] },
+    lastSentAt: { type: Date },
+    scheduledFor: { type: Date }, // A throttled send is pending until then
+  },
+  { timestamps: true }
+);
+
+// Sessions that were never ended don't leave their state behind for good
+leaderboardStateSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Outgoing webhooks, for one session or (sessionId null) for every session
+const webhookSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, default: null },
+    url: { type: String, required: true },
+    events: [String], // Empty means every event
+    description: String,
+    secret: { type: String, select: false }, // HMAC key for the signature header
+    active: { type: Boolean, default: true },
+    createdBy: String, // Host username
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+webhookSchema.index({ sessionId: 1, active: 1 });
+
+// One payload sent (or being retried) to one webhook
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true },
+    sessionId: String,
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastAttemptAt: Date,
+    responseStatus: Number,
+    responseBody: String, // First bytes of the receiver's answer
+    error: String,
+    durationMs: Number,
+    deliveredAt: Date,
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// The log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Admin tokens revoked by logout, kept until they would have expired anyway
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 export const Player = mongoose.model("Player", playerSchema);
 export const Connection = mongoose.model("Connection", connectionSchema);
 export const Session = mongoose.model("Session", sessionSchema);
+export const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+export const MatchConfirmation = mongoose.model(
+  "MatchConfirmation",
+  matchConfirmationSchema
+);
+export const QuestionTemplate = mongoose.model("QuestionTemplate", questionTemplateSchema);
+export const ExportJob = mongoose.model("ExportJob", exportJobSchema);
+export const ScoreEvent = mongoose.model("ScoreEvent", scoreEventSchema);
+export const Host = mongoose.model("Host", hostSchema);
+export const LeaderboardState = mongoose.model("LeaderboardState", leaderboardStateSchema);
+export const Webhook = mongoose.model("Webhook", webhookSchema);
+export const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -1,81 +1,184 @@
-import archiver from "archiver";
-import axios from "axios";
 import express from "express";
-import { Connection, Player, Session } from "./models/index.js";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import mongoose from "mongoose";
+import {
+  Connection,
+  ExportJob,
+  Host,
+  Player,
+  QuestionTemplate,
+  Session,
+  Webhook,
+  WebhookDelivery,
+} from "./models/index.js";
+import {
+  hashPlayerToken,
+  issueAdminToken,
+  issuePlayerToken,
+  issueRecoveryCode,
+  normalizeRecoveryCode,
+  requireAdmin,
+  requirePlayer,
+  revokeAdminToken,
+  safeEqual,
+  verifyPlayerToken,
+} from "./middleware/auth.js";
+import {
+  fromExportJobParam,
+  fromPlayerParam,
+  requireSessionRole,
+} from "./middleware/sessionAccess.js";
+import {
+  sanitizeFileName,
+  startImageExportJob,
+  writeImageArchive,
+} from "./services/imageExport.js";
+import { computeSessionAnalytics, toGraphML } from "./services/analytics.js";
+import { getAssignment } from "./services/assignments.js";
+import {
+  assertGlobalAdmin,
+  assertValidCredentials,
+  authenticateHost,
+  GRANTABLE_ROLES,
+  hashPassword,
+  hostRoom,
+  normalizeUsername,
+  sessionRoleFor,
+  verifyPassword,
+  visibleSessionsFilter,
+} from "./services/hosts.js";
+import {
+  ensureJoinCode,
+  findSessionByJoinCode,
+  generateSessionId,
+  joinUrlFor,
+  normalizeJoinCode,
+  renderJoinQr,
+  rotateJoinCode,
+  withUniqueJoinCode,
+} from "./services/joinCodes.js";
+import { emitLeaderboardUpdate, getLeaderboardSnapshot } from "./services/leaderboard.js";
+import {
+  confirmMatchWithCode,
+  generateConfirmCode,
+  recordWrongMatch,
+  requestMatchConfirmation,
+  revokeMatch,
+} from "./services/matches.js";
+import {
+  addBan,
+  assertNameAllowed,
+  assertNotBanned,
+  assertProfileAllowed,
+  normalizeBlockedWords,
+  normalizeDeviceId,
+  removePlayer,
+  renamePlayer,
+  setHiddenFields,
+  setSelfieHidden,
+} from "./services/moderation.js";
+import { buildPlayerState, resolvePlayerName } from "./services/players.js";
+import { notOfflineFor } from "./services/presence.js";
+import {
+  DEFAULT_QUESTIONS,
+  normalizeQuestions,
+  pickTemplateQuestions,
+  validateProfile,
+} from "./services/questions.js";
+import {
+  buildResultSheets,
+  RESULT_SHEETS,
+  writeResultsZip,
+} from "./services/resultsExport.js";
+import {
+  adjustScore,
+  adminActor,
+  listScoreEvents,
+  rebuildScore,
+  requireReason,
+} from "./services/scoreLedger.js";
+import { erasePlayer, purgeSession } from "./services/retention.js";
+import {
+  generateSpectatorKey,
+  publishSelfieVisibility,
+  SPECTATOR_NAMESPACE,
+} from "./services/spectators.js";
+import { getScoring, normalizeScoring } from "./services/scoring.js";
+import {
+  balanceTeams,
+  buildTeamLeaderboard,
+  getTeamMode,
+  normalizeTeamMode,
+  normalizeTeams,
+  pickTeamForJoin,
+} from "./services/teams.js";
+import {
+  assertSessionStatus,
+  assertTimeRemaining,
+  endSession,
+  parseDuration,
+  sessionActions,
+  startSession,
+  timerActions,
+} from "./services/sessionState.js";
+import {
+  deliveryView,
+  dispatchPlayerJoined,
+  findWebhookFor,
+  generateWebhookSecret,
+  normalizeWebhook,
+  sendTestDelivery,
+  WEBHOOK_EVENTS,
+} from "./services/webhooks.js";
+import { HttpError, sendHttpError } from "./utils/errors.js";
+import { createUploadTarget, verifyUpload } from "./services/uploads.js";
+import storage, { exportStorage } from "./storage/index.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
-
 const router = express.Router();
 
-// Throttling map for leaderboard updates
-const sessionUpdateTimers = new Map();
-const THROTTLE_INTERVAL = 5000; // 5 seconds
-
-const emitLeaderboardUpdate = async (req, sessionId) => {
-  const now = Date.now();
-  const lastUpdate = sessionUpdateTimers.get(sessionId) || 0;
-
-  if (now - lastUpdate >= THROTTLE_INTERVAL) {
-    // Emit immediately
-    const players = await Player.find({ sessionId }).sort({ score: -1, lastMatchAt: 1 });
-    req.app.get("io").to(sessionId).emit("updateLeaderboard", players);
-    sessionUpdateTimers.set(sessionId, now);
-  } else {
-    // Schedule update if not already scheduled
-    if (!sessionUpdateTimers.has(`${sessionId}_scheduled`)) {
-      sessionUpdateTimers.set(`${sessionId}_scheduled`, true);
-      setTimeout(async () => {
-        const players = await Player.find({ sessionId }).sort({ score: -1, lastMatchAt: 1 });
-        req.app.get("io").to(sessionId).emit("updateLeaderboard", players);
-        sessionUpdateTimers.set(sessionId, Date.now());
-        sessionUpdateTimers.delete(`${sessionId}_scheduled`);
-      }, THROTTLE_INTERVAL - (now - lastUpdate));
-    }
-  }
-};
+const DEFAULT_OFFLINE_MINUTES = 5;
 
 // health check
 router.get("/health", (req, res) => {
   res.status(200).json({ status: "ok", uptime: process.uptime() });
 });
 
-// Get S3 Pre-signed URL
-router.get("/s3-upload-url", async (req, res) => {
+// Local storage driver serves and receives uploads itself
+if (storage.router) {
+  router.use("/uploads", storage.router);
+}
+
+// Get an upload target (presigned POST) for a selfie or profile photo. The
+// client posts the returned fields plus the file to uploadUrl.
+// /s3-upload-url is kept for older clients.
+router.get(["/upload-url", "/s3-upload-url"], requirePlayer, async (req, res) => {
   try {
     const { fileType, sessionId } = req.query;
-    const timestamp = Date.now();
-    const randomString = Math.random().toString(36).substring(2, 15);
-    const key = `${sessionId}/${timestamp}-${randomString}.${fileType.split("/")[1]}`;
-
-    const command = new PutObjectCommand({
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: key,
-      ContentType: fileType,
-    });
 
-    const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 60 });
-    const publicUrl = `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+    if (sessionId && sessionId !== req.player.sessionId) {
+      return res.status(403).json({ error: "Token does not belong to this session" });
+    }
+
+    const target = await createUploadTarget({
+      sessionId: req.player.sessionId,
+      playerId: req.player._id,
+      fileType,
+    });
 
-    res.json({ uploadUrl, key, publicUrl });
+    res.json(target);
   } catch (error) {
-    console.error("Error generating S3 URL:", error);
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error generating upload URL:", error);
     res.status(500).json({ error: "Failed to generate upload URL" });
   }
 });
 
-// Get session details
-router.get("/sessions/:sessionId", async (req, res) => {
+// Get session details, with every player's profile and matches
+router.get("/sessions/:sessionId", requireSessionRole("viewer"), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = await Session.findOne({ sessionId });
@@ -95,10 +198,11 @@ router.get("/sessions/:sessionId", async (req, res) => {
   }
 });
 
-// Get all sessions
-router.get("/sessions", async (req, res) => {
+// Get the sessions the caller owns or co-hosts, every session for admins
+router.get("/sessions", requireAdmin, async (req, res) => {
   try {
     const sessions = await Session.aggregate([
+      { $match: visibleSessionsFilter(req.admin) },
       {
         $lookup: {
           from: "players",
@@ -110,8 +214,11 @@ router.get("/sessions", async (req, res) => {
       {
         $project: {
           sessionId: 1,
+          joinCode: 1,
           status: 1,
           createdAt: 1,
+          ownerId: 1,
+          hosts: 1,
           playerCount: { $size: "$players" },
           isActive: { $in: ["$status", ["playing", "ended"]] },
         },
@@ -119,7 +226,12 @@ router.get("/sessions", async (req, res) => {
       { $sort: { createdAt: -1 } },
     ]);
 
-    res.json({ sessions });
+    res.json({
+      sessions: sessions.map(({ hosts, ...session }) => ({
+        ...session,
+        role: sessionRoleFor(req.admin, { ...session, hosts }),
+      })),
+    });
   } catch (error) {
     console.error("Error fetching sessions:", error);
     res.status(500).json({ error: error.message });
@@ -127,499 +239,1823 @@ router.get("/sessions", async (req, res) => {
 });
 
 // Create new session
-router.post("/sessions", async (req, res) => {
+router.post("/sessions", requireAdmin, async (req, res) => {
   try {
-    const { name, maxPlayers, customQuestions } = req.body;
-    const sessionId = name || Math.random().toString(36).substr(2, 9);
+    const {
+      name,
+      maxPlayers,
+      customQuestions,
+      templateId,
+      templateFields,
+      matchVerification,
+      duplicateNamePolicy,
+      allowProfileEdits,
+    } = req.body;
+    const scoring = normalizeScoring(req.body.scoring);
+    const durationSeconds = parseDuration(req.body.durationSeconds);
+    const teams = req.body.teams !== undefined ? normalizeTeams(req.body.teams) : [];
+    const teamMode = normalizeTeamMode(req.body.teamMode);
+
+    if (matchVerification && !["code", "handshake"].includes(matchVerification)) {
+      return res.status(400).json({ error: "Invalid match verification mode" });
+    }
+    if (duplicateNamePolicy && !["reject", "rename", "allow"].includes(duplicateNamePolicy)) {
+      return res.status(400).json({ error: "Invalid duplicate name policy" });
+    }
+    if (allowProfileEdits !== undefined && typeof allowProfileEdits !== "boolean") {
+      return res.status(400).json({ error: "allowProfileEdits must be a boolean" });
+    }
 
-    let questions;
-    if (customQuestions && customQuestions.length === 5) {
-      questions = customQuestions.map(q => ({
-        title: q,
-        field: q.toLowerCase().replace(/[^a-z0-9]/gi, '')
-      }));
-    } else {
-      questions = [
-        { title: "What's your favorite food?", field: "favoriteFood" },
-        { title: "What's your hobby?", field: "hobby" },
-        { title: "What's your favorite color?", field: "favoriteColor" },
-        { title: "Who's your favorite artist?", field: "favoriteArtist" },
-        { title: "Who's your idol?", field: "idol" },
-      ];
+    let questions = DEFAULT_QUESTIONS;
+    if (templateId && customQuestions) {
+      return res
+        .status(400)
+        .json({ error: "Use either templateId or customQuestions, not both" });
+    }
+    if (templateId) {
+      const template = mongoose.isValidObjectId(templateId)
+        ? await QuestionTemplate.findById(templateId)
+        : null;
+      if (!template) {
+        return res.status(404).json({ error: "Question template not found" });
+      }
+      questions = pickTemplateQuestions(template, templateFields);
+    } else if (customQuestions !== undefined) {
+      questions = normalizeQuestions(customQuestions);
     }
 
-    const session = new Session({
-      sessionId,
-      name,
-      maxPlayers,
-      status: "waiting",
-      questions,
-    });
+    // The name is only for display, players find the session by its join code
+    const session = await withUniqueJoinCode((joinCode) =>
+      Session.create({
+        sessionId: generateSessionId(),
+        joinCode,
+        name,
+        maxPlayers,
+        status: "waiting",
+        questions,
+        matchVerification,
+        duplicateNamePolicy,
+        allowProfileEdits,
+        scoring,
+        durationSeconds,
+        teams,
+        teamMode,
+        ownerId: req.admin.hid, // The env admin's sessions have no owner
+      })
+    );
 
-    await session.save();
-    res.status(201).json(session);
+    res.status(201).json({ ...session.toJSON(), joinUrl: joinUrlFor(session.joinCode) });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
     console.error("Error creating session:", error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Check session status
-router.get("/sessions/:sessionId/check", async (req, res) => {
+// Question bank: saved question sets for new sessions
+router.get("/question-templates", requireAdmin, async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const session = await Session.findOne({ sessionId });
-
-    if (!session) {
-      return res.status(404).json({ error: "Session not found" });
-    }
-
-    const playerCount = await Player.countDocuments({
-      sessionId,
-      status: "connected",
-    });
-
-    res.json({
-      sessionId: session.sessionId,
-      status: session.status,
-      name: session.name,
-      playerCount,
-    });
+    const templates = await QuestionTemplate.find().sort({ updatedAt: -1 });
+    res.json({ templates });
   } catch (error) {
-    console.error("Error checking session:", error);
-    res.status(500).json({ error: "Failed to check session status" });
+    console.error("Error fetching question templates:", error);
+    res.status(500).json({ error: "Failed to fetch question templates" });
   }
 });
 
-// Join session
-router.post("/sessions/:sessionId/join", async (req, res) => {
+router.get("/question-templates/:templateId", requireAdmin, async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const { name } = req.body;
+    const { templateId } = req.params;
+    const template = mongoose.isValidObjectId(templateId)
+      ? await QuestionTemplate.findById(templateId)
+      : null;
 
-    const session = await Session.findOne({ sessionId });
-    if (!session) {
-      return res.status(404).json({ error: "Session not found" });
+    if (!template) {
+      return res.status(404).json({ error: "Question template not found" });
     }
 
-    const player = new Player({
-      name,
-      sessionId,
-      score: 0,
-      status: "connected",
-      preserveData: true,
-    });
+    res.json(template);
+  } catch (error) {
+    console.error("Error fetching question template:", error);
+    res.status(500).json({ error: "Failed to fetch question template" });
+  }
+});
 
-    await player.save();
+// Validates the body shared by template create and update
+const parseTemplate = (body) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name || name.length > 100) {
+    throw new HttpError(400, "Template name must be 1 to 100 characters", "INVALID_TEMPLATE");
+  }
 
-    // const players = await Player.find({ sessionId }).sort({ score: -1, lastMatchAt: 1 });
-    // req.app.get("io").to(sessionId).emit("updateLeaderboard", players);
-    emitLeaderboardUpdate(req, sessionId);
+  return {
+    name,
+    description: typeof body.description === "string" ? body.description.trim() : "",
+    questions: normalizeQuestions(body.questions),
+  };
+};
+
+// Every host may use the bank and add to it, but only admins and a
+// template's creator may change or delete it
+const findEditableTemplate = async (admin, templateId) => {
+  const template = mongoose.isValidObjectId(templateId)
+    ? await QuestionTemplate.findById(templateId)
+    : null;
+  if (!template) {
+    throw new HttpError(404, "Question template not found", "TEMPLATE_NOT_FOUND");
+  }
+  if (!admin.adm && !(admin.hid && String(template.createdBy) === admin.hid)) {
+    throw new HttpError(
+      403,
+      "Only administrators and its creator can change this template",
+      "FORBIDDEN"
+    );
+  }
+  return template;
+};
 
-    res.status(201).json(player);
+router.post("/question-templates", requireAdmin, async (req, res) => {
+  try {
+    const template = await QuestionTemplate.create({
+      ...parseTemplate(req.body),
+      createdBy: req.admin.hid,
+    });
+    res.status(201).json(template);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error creating question template:", error);
+    res.status(500).json({ error: "Failed to create question template" });
   }
 });
 
-// Update player profile
-router.post("/players/:playerId/profile", async (req, res) => {
+router.put("/question-templates/:templateId", requireAdmin, async (req, res) => {
   try {
-    const { playerId } = req.params;
-    const { profile } = req.body;
+    const { templateId } = req.params;
+    const update = parseTemplate(req.body);
+    await findEditableTemplate(req.admin, templateId);
+    const template = await QuestionTemplate.findByIdAndUpdate(templateId, update, { new: true });
 
-    const updatedPlayer = await Player.findByIdAndUpdate(
-      playerId,
-      { $set: { profile, hasProfile: true } },
-      { new: true }
-    );
-    console.log(updatedPlayer);
-    if (!updatedPlayer) {
-      return res.status(404).json({ error: "Player not found" });
+    res.json(template);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
     }
+    console.error("Error updating question template:", error);
+    res.status(500).json({ error: "Failed to update question template" });
+  }
+});
 
-    // Emit an update to all clients in the session
-    // const players = await Player.find({ sessionId: updatedPlayer.sessionId }).sort({ score: -1, lastMatchAt: 1 });
-    // req.app.get("io").to(updatedPlayer.sessionId).emit("updateLeaderboard", players);
-    emitLeaderboardUpdate(req, updatedPlayer.sessionId);
+router.delete("/question-templates/:templateId", requireAdmin, async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    await findEditableTemplate(req.admin, templateId);
+    await QuestionTemplate.deleteOne({ _id: templateId });
 
-    res.json(updatedPlayer);
+    res.json({ message: "Question template deleted" });
   } catch (error) {
-    console.error("Error updating player profile:", error);
-    res.status(500).json({ error: "Failed to update player profile" });
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error deleting question template:", error);
+    res.status(500).json({ error: "Failed to delete question template" });
   }
 });
 
-// Admin: Update player score
-router.patch("/players/:playerId/score", async (req, res) => {
+// Resolve a join code to its session, before /check and /join
+router.get("/join/:code", async (req, res) => {
   try {
-    const { playerId } = req.params;
-    const { score } = req.body;
+    const session = await findSessionByJoinCode(req.params.code);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
 
-    if (score === undefined || isNaN(parseInt(score))) {
-      return res.status(400).json({ error: "Invalid score provided" });
+    res.json({
+      sessionId: session.sessionId,
+      joinCode: session.joinCode,
+      name: session.name,
+      status: session.status,
+    });
+  } catch (error) {
+    console.error("Error looking up join code:", error);
+    res.status(500).json({ error: "Failed to look up join code" });
+  }
+});
+
+// QR code of the join URL for projecting in the room, ?format=svg|png
+router.get("/sessions/:sessionId/qr", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const format = req.query.format || "svg";
+    if (!["svg", "png"].includes(format)) {
+      return res.status(400).json({ error: "Format must be svg or png" });
     }
 
-    const updatedPlayer = await Player.findByIdAndUpdate(
-      playerId,
-      { $set: { score: parseInt(score) } },
-      { new: true }
+    const session = await ensureJoinCode(
+      await Session.findOne({ sessionId: req.params.sessionId })
     );
+    const qr = await renderJoinQr(session.joinCode, { format, size: req.query.size });
 
-    if (!updatedPlayer) {
-      return res.status(404).json({ error: "Player not found" });
+    res.set("Cache-Control", "no-store"); // Changes when the code is rotated
+    res.type(format === "png" ? "image/png" : "image/svg+xml").send(qr);
+  } catch (error) {
+    console.error("Error rendering join QR code:", error);
+    res.status(500).json({ error: "Failed to render QR code" });
+  }
+});
+
+// Replace the join code, e.g. after it was shared outside the room. Players
+// who already joined are not affected.
+router.post(
+  "/sessions/:sessionId/join-code/rotate",
+  requireSessionRole("co-host"),
+  async (req, res) => {
+    try {
+      const session = await rotateJoinCode(req.params.sessionId);
+      const joinUrl = joinUrlFor(session.joinCode);
+
+      // Only hosts hear about it, anyone can be in the session room
+      req.app.get("io").to(hostRoom(session.sessionId)).emit("joinCodeChanged", {
+        joinCode: session.joinCode,
+        joinUrl,
+      });
+      res.json({ joinCode: session.joinCode, joinUrl });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
+      }
+      console.error("Error rotating join code:", error);
+      res.status(500).json({ error: "Failed to rotate join code" });
     }
+  }
+);
 
-    // Emit an update to all clients in the session
-    // const players = await Player.find({ sessionId: updatedPlayer.sessionId }).sort({ score: -1, lastMatchAt: 1 });
-    // req.app.get("io").to(updatedPlayer.sessionId).emit("updateLeaderboard", players);
-    emitLeaderboardUpdate(req, updatedPlayer.sessionId);
-    console.log("Emitting updateLeaderboard after score update for session", updatedPlayer.sessionId);
+// Access key for projector screens on the spectator namespace, created on
+// first use
+router.get("/sessions/:sessionId/spectator-key", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    let session = await Session.findOne({ sessionId }).select("+spectatorKey");
+    if (!session.spectatorKey) {
+      session = await Session.findOneAndUpdate(
+        { sessionId, spectatorKey: null },
+        { spectatorKey: generateSpectatorKey() },
+        { new: true }
+      ).select("+spectatorKey");
+      // Someone else created it first
+      session ||= await Session.findOne({ sessionId }).select("+spectatorKey");
+    }
 
-    res.json(updatedPlayer);
+    res.json({ key: session.spectatorKey, namespace: SPECTATOR_NAMESPACE });
   } catch (error) {
-    console.error("Error updating score:", error);
-    res.status(500).json({ error: "Failed to update score" });
+    console.error("Error fetching spectator key:", error);
+    res.status(500).json({ error: "Failed to fetch spectator key" });
   }
 });
 
+// New spectator key, screens using the old one are disconnected
+router.post(
+  "/sessions/:sessionId/spectator-key/rotate",
+  requireSessionRole("co-host"),
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const session = await Session.findOneAndUpdate(
+        { sessionId },
+        { spectatorKey: generateSpectatorKey() },
+        { new: true }
+      ).select("+spectatorKey");
+
+      req.app.get("io").of(SPECTATOR_NAMESPACE).in(sessionId).disconnectSockets(true);
+      res.json({ key: session.spectatorKey, namespace: SPECTATOR_NAMESPACE });
+    } catch (error) {
+      console.error("Error rotating spectator key:", error);
+      res.status(500).json({ error: "Failed to rotate spectator key" });
+    }
+  }
+);
 
-// Start session
-router.post("/sessions/:sessionId/start", async (req, res) => {
+// Check session status
+router.get("/sessions/:sessionId/check", async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const updatedSession = await Session.findOneAndUpdate(
-      { sessionId },
-      { status: "playing" },
-      { new: true }
-    );
+    const session = await Session.findOne({ sessionId });
 
-    if (!updatedSession) {
+    if (!session) {
       return res.status(404).json({ error: "Session not found" });
     }
 
-    const players = await Player.find({ sessionId });
-    req.app.get("io").to(sessionId).emit("gameStarted", players);
+    const playerCount = await Player.countDocuments({
+      sessionId,
+      status: "connected",
+    });
 
-    res.json(updatedSession);
+    res.json({
+      sessionId: session.sessionId,
+      status: session.status,
+      name: session.name,
+      playerCount,
+    });
   } catch (error) {
-    console.error("Error starting session:", error);
-    res.status(500).json({ error: "Failed to start session" });
+    console.error("Error checking session:", error);
+    res.status(500).json({ error: "Failed to check session status" });
   }
 });
 
-// End session
-router.post("/sessions/:sessionId/end", async (req, res) => {
+// Update scoring rules, only before the game starts
+router.patch("/sessions/:sessionId/scoring", requireSessionRole("co-host"), async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const session = await Session.findOne({ sessionId });
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    assertSessionStatus(session, ["waiting"]);
+
+    const scoring = normalizeScoring(req.body, getScoring(session));
     const updatedSession = await Session.findOneAndUpdate(
-      { sessionId },
-      { status: "ended" },
+      { sessionId, status: "waiting" },
+      { scoring },
       { new: true }
     );
-
     if (!updatedSession) {
-      return res.status(404).json({ error: "Session not found" });
+      return res.status(409).json({ error: "Game has already started", code: "GAME_ALREADY_STARTED" });
     }
 
-    const players = await Player.find({ sessionId }).sort({ score: -1, lastMatchAt: 1 });
-    req.app.get("io").to(sessionId).emit("gameEnded", players);
-
     res.json(updatedSession);
   } catch (error) {
-    console.error("Error ending session:", error);
-    res.status(500).json({ error: "Failed to end session" });
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating scoring:", error);
+    res.status(500).json({ error: "Failed to update scoring" });
   }
 });
 
-// Get session players
-router.get("/sessions/:sessionId/players", async (req, res) => {
+// Latest leaderboard snapshot, for clients that missed a leaderboardDiff
+router.get("/sessions/:sessionId/leaderboard", async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const players = await Player.find({ sessionId })
-      .sort({ score: -1, lastMatchAt: 1 })
-      .select("-status");
+    if (!(await Session.exists({ sessionId }))) {
+      return res.status(404).json({ error: "Session not found" });
+    }
 
-    res.json({ players });
+    res.json(await getLeaderboardSnapshot(sessionId));
   } catch (error) {
-    console.error("Error fetching players:", error);
-    res.status(500).json({ error: "Failed to fetch players" });
+    console.error("Error fetching leaderboard:", error);
+    res.status(500).json({ error: "Failed to fetch leaderboard" });
   }
 });
 
-// Get session results for download
-router.get("/sessions/:sessionId/results", async (req, res) => {
+// Teams and their standings
+router.get("/sessions/:sessionId/teams", async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const session = await Session.findOne({ sessionId });
-
+    const session = await Session.findOne({ sessionId: req.params.sessionId });
     if (!session) {
       return res.status(404).json({ error: "Session not found" });
     }
 
-    const players = await Player.find({ sessionId });
-
-    res.json({ questions: session.questions, players });
+    res.json({
+      teams: session.teams,
+      teamMode: getTeamMode(session),
+      leaderboard: await buildTeamLeaderboard(session),
+    });
   } catch (error) {
-    console.error("Error fetching session results:", error);
-    res.status(500).json({ error: "Failed to fetch session results" });
-  }
-});
-
-// Admin login
-router.post("/admin/login", (req, res) => {
-  const { username, password } = req.body;
-  console.log(username, process);
-  if (
-    username === process.env.ADMIN_USERNAME &&
-    password === process.env.ADMIN_PASSWORD
-  ) {
-    res.json({ token: process.env.ADMIN_TOKEN });
-  } else {
-    res.status(401).json({ error: "Invalid credentials" });
+    console.error("Error fetching teams:", error);
+    res.status(500).json({ error: "Failed to fetch teams" });
   }
 });
 
-// Admin logout
-router.post("/admin/logout", (req, res) => {
-  res.json({ message: "Logout successful" });
-});
-
-// Download all images from a session
-router.get("/sessions/:sessionId/images", async (req, res) => {
+// Define teams and team mode settings before the game starts. Players in
+// teams that no longer exist lose their team.
+router.put("/sessions/:sessionId/teams", requireSessionRole("co-host"), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const players = await Player.find({ sessionId });
+    const session = await Session.findOne({ sessionId });
 
-    if (!players) {
+    if (!session) {
       return res.status(404).json({ error: "Session not found" });
     }
+    assertSessionStatus(session, ["waiting"]);
 
-    const archive = archiver("zip", {
-      zlib: { level: 9 }, // Sets the compression level.
-    });
-
-    res.attachment(`${sessionId}-images.zip`);
-    archive.pipe(res);
-
-    for (const player of players) {
-      if (player.matches && player.matches.length > 0) {
-        for (const match of player.matches) {
-          if (match.selfieUrl) {
-            try {
-              // Fetch image from S3
-              const response = await axios.get(match.selfieUrl, {
-                responseType: "arraybuffer",
-              });
-              const imgBuffer = Buffer.from(response.data, "binary");
-              
-              // Determine extension from content-type or default to jpg
-              const contentType = response.headers["content-type"];
-              const extension = contentType ? contentType.split("/")[1] : "jpg";
-
-              archive.append(imgBuffer, {
-                name: `${player.name}-${match.playerName}.${extension}`,
-              });
-            } catch (err) {
-              console.error(`Failed to download image for ${player.name}:`, err.message);
-              // Continue to next image even if one fails
-            }
-          }
-        }
-      }
+    const teams = req.body.teams !== undefined ? normalizeTeams(req.body.teams) : session.teams;
+    const teamMode = normalizeTeamMode(req.body.teamMode, getTeamMode(session));
+    const updatedSession = await Session.findOneAndUpdate(
+      { sessionId, status: "waiting" },
+      { teams, teamMode },
+      { new: true }
+    );
+    if (!updatedSession) {
+      return res.status(409).json({ error: "Game has already started", code: "GAME_ALREADY_STARTED" });
     }
 
-    archive.finalize();
+    await Player.updateMany(
+      { sessionId, teamId: { $nin: [null, ...teams.map((team) => team.teamId)] } },
+      { teamId: null }
+    );
+
+    emitLeaderboardUpdate(req.app.get("io"), sessionId);
+    res.json(updatedSession);
   } catch (error) {
-    console.error("Error creating image archive:", error);
-    res.status(500).json({ error: "Failed to create image archive" });
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating teams:", error);
+    res.status(500).json({ error: "Failed to update teams" });
   }
 });
 
-// Confirm a match and update scores
-router.post("/sessions/:sessionId/match", async (req, res) => {
+// Shuffle all players into evenly sized teams
+router.post("/sessions/:sessionId/teams/balance", requireSessionRole("co-host"), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { finderId, foundPlayerId, selfieUrl } = req.body;
-
     const session = await Session.findOne({ sessionId });
+
     if (!session) {
       return res.status(404).json({ error: "Session not found" });
     }
+    assertSessionStatus(session, ["waiting"]);
 
-    const foundPlayer = await Player.findById(foundPlayerId);
-    if (!foundPlayer) {
-      return res.status(404).json({ error: "Found player not found" });
+    const counts = await balanceTeams(session);
+
+    req.app.get("io").to(sessionId).emit("teamsUpdated", { sessionId });
+    emitLeaderboardUpdate(req.app.get("io"), sessionId);
+    res.json({ members: Object.fromEntries(counts) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
     }
+    console.error("Error balancing teams:", error);
+    res.status(500).json({ error: "Failed to balance teams" });
+  }
+});
 
-    const matchTime = new Date();
+// Move a player to a team, or out of all teams with teamId null
+router.patch("/players/:playerId/team", requireSessionRole("co-host", fromPlayerParam), async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const { teamId = null } = req.body;
 
-    // Atomic update: Only update if the match doesn't already exist
-    const finderPlayer = await Player.findOneAndUpdate(
-      {
-        _id: finderId,
-        "matches.playerId": { $ne: foundPlayerId }, // Condition: Match must not exist
-      },
-      {
-        $inc: { score: 100, peopleKnown: 1 },
-        $push: {
-          matches: {
-            playerId: foundPlayerId,
-            matchedAt: matchTime,
-            selfieUrl,
-            playerName: foundPlayer.name,
-          },
-        },
-        lastMatchAt: matchTime,
-      },
-      { new: true }
-    );
+    const player = await Player.findById(playerId);
+    if (!player) {
+      return res.status(404).json({ error: "Player not found" });
+    }
 
-    if (!finderPlayer) {
-      // If no document returned, it means the match already exists (race condition handled)
-      console.log("Match already exists or player not found. Skipping update.");
-      return res.status(400).json({ error: "Match already recorded" });
+    const session = await Session.findOne({ sessionId: player.sessionId });
+    if (teamId !== null && !session?.teams.some((team) => team.teamId === teamId)) {
+      return res.status(400).json({ error: "Unknown team", code: "INVALID_TEAM" });
     }
 
-    // Update found player's counter
-    await Player.findByIdAndUpdate(foundPlayerId, {
-      $inc: { peopleWhoKnowYou: 1, score: 50 },
-    });
+    const updatedPlayer = await Player.findByIdAndUpdate(playerId, { teamId }, { new: true });
 
-    // Check if finder completed all matches
-    const totalOtherPlayers = await Player.countDocuments({
-      sessionId,
-      _id: { $ne: finderId },
-      profile: { $exists: true, $ne: null },
-    });
+    req.app.get("io").to(player.sessionId).emit("teamsUpdated", { sessionId: player.sessionId });
+    emitLeaderboardUpdate(req.app.get("io"), player.sessionId);
+    res.json(updatedPlayer);
+  } catch (error) {
+    console.error("Error updating player team:", error);
+    res.status(500).json({ error: "Failed to update player team" });
+  }
+});
 
-    const matchCount = (finderPlayer.matches || []).length;
+// Toggle whether players may edit their profile after the game has started
+router.patch("/sessions/:sessionId/settings", requireSessionRole("co-host"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { allowProfileEdits } = req.body;
 
-    // If this player just completed all matches, record completion time
-    if (matchCount >= totalOtherPlayers && !finderPlayer.completedAt) {
-      await Player.findByIdAndUpdate(finderId, {
-        completedAt: matchTime,
-        isCompleted: true,
-      });
+    if (typeof allowProfileEdits !== "boolean") {
+      return res.status(400).json({ error: "allowProfileEdits must be a boolean" });
+    }
 
-      console.log(
-        `🎉 Player ${finderPlayer.name} completed all matches at ${matchTime}`
-      );
+    const updatedSession = await Session.findOneAndUpdate(
+      { sessionId },
+      { allowProfileEdits },
+      { new: true }
+    );
+    if (!updatedSession) {
+      return res.status(404).json({ error: "Session not found" });
     }
 
-    res.json({
-      message: "Match confirmed successfully",
-      isCompleted: matchCount >= totalOtherPlayers,
-      totalMatches: matchCount,
-      totalRequired: totalOtherPlayers,
-      points: {
-        finder: 100,
-        found: 50,
+    res.json(updatedSession);
+  } catch (error) {
+    console.error("Error updating session settings:", error);
+    res.status(500).json({ error: "Failed to update session settings" });
+  }
+});
+
+// Join session. Needs the session's current joinCode, so rotating the code
+// keeps out anyone who only knows an old code or the session id.
+router.post("/sessions/:sessionId/join", async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const deviceId = normalizeDeviceId(req.body.deviceId);
+
+    const session = await Session.findOne({ sessionId }).select("+bans +blockedWords");
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (!session.joinCode || !safeEqual(normalizeJoinCode(req.body.joinCode), session.joinCode)) {
+      return res.status(403).json({ error: "Invalid join code", code: "INVALID_JOIN_CODE" });
+    }
+    assertSessionStatus(session, ["waiting", "playing", "paused"]);
+    assertNotBanned(session, { name: req.body.name, deviceId });
+    const name = await resolvePlayerName(session, req.body.name);
+    assertNameAllowed(session, name);
+
+    // Reserve a seat atomically so concurrent joins can't overshoot maxPlayers
+    const reserved = await Session.findOneAndUpdate(
+      {
+        sessionId,
+        $expr: { $lt: [{ $ifNull: ["$playerCount", 0] }, "$maxPlayers"] },
       },
+      { $inc: { playerCount: 1 } }
+    );
+    if (!reserved) {
+      return res.status(409).json({ error: "Session is full", code: "SESSION_FULL" });
+    }
+
+    const { token, tokenHash } = issuePlayerToken();
+    const { code: recoveryCode, codeHash: recoveryCodeHash } = issueRecoveryCode();
+    const player = new Player({
+      name,
+      sessionId,
+      teamId: await pickTeamForJoin(session),
+      deviceId,
+      score: 0,
+      status: "connected",
+      preserveData: req.body.preserveData === true,
+      tokenHash,
+      recoveryCodeHash,
     });
 
+    try {
+      await player.save();
+    } catch (error) {
+      await Session.updateOne({ sessionId }, { $inc: { playerCount: -1 } });
+      throw error;
+    }
+
     // const players = await Player.find({ sessionId }).sort({ score: -1, lastMatchAt: 1 });
     // req.app.get("io").to(sessionId).emit("updateLeaderboard", players);
-    emitLeaderboardUpdate(req, sessionId);
+    emitLeaderboardUpdate(req.app.get("io"), sessionId);
+    dispatchPlayerJoined(player);
+
+    // The token and recovery code are only ever returned here, clients must keep them
+    res.status(201).json({ ...player.toJSON(), playerToken: token, recoveryCode });
   } catch (error) {
-    console.error("Error confirming match:", error);
-    res.status(500).json({ error: "Failed to confirm match" });
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-router.post("/sessions/:sessionId/wrong-match", async (req, res) => {
+// Resume a player after a refresh, either with their token or, from a device
+// that lost it, with their recovery code (which issues a new token)
+router.post("/sessions/:sessionId/players/resume", async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { finderId } = req.body;
+    const { recoveryCode } = req.body;
+
+    const session = await Session.findOne({ sessionId });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const playerToken = req.get("x-player-token");
+    let player;
+    let newToken;
+
+    if (playerToken) {
+      player = await verifyPlayerToken(playerToken);
+    } else if (recoveryCode) {
+      const { token, tokenHash } = issuePlayerToken();
+      player = await Player.findOneAndUpdate(
+        {
+          sessionId,
+          recoveryCodeHash: hashPlayerToken(normalizeRecoveryCode(recoveryCode)),
+        },
+        { tokenHash },
+        { new: true }
+      );
+      newToken = token;
+    }
+
+    if (!player || player.sessionId !== sessionId) {
+      return res.status(401).json({ error: "Invalid player token or recovery code" });
+    }
+
+    const state = await buildPlayerState(player, session);
+    res.json(newToken ? { ...state, playerToken: newToken } : state);
+  } catch (error) {
+    console.error("Error resuming player:", error);
+    res.status(500).json({ error: "Failed to resume player" });
+  }
+});
+
+// Update player profile
+router.post("/players/:playerId/profile", requirePlayer, async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const { profile } = req.body;
+
+    const session = await Session.findOne({ sessionId: req.player.sessionId }).select(
+      "+blockedWords"
+    );
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    assertSessionStatus(session, ["waiting", "playing", "paused"]);
+
+    // Late joiners may still submit a first profile, but edits once the game
+    // is running need the host's permission
+    if (req.player.hasProfile && session.status !== "waiting" && !session.allowProfileEdits) {
+      return res
+        .status(409)
+        .json({ error: "Profiles can no longer be edited", code: "PROFILE_LOCKED" });
+    }
+
+    const validProfile = validateProfile(session.questions, profile);
+    assertProfileAllowed(session, validProfile);
+
+    // Photo answers must be images this player uploaded for this session
+    for (const question of session.questions) {
+      if (question.type === "photo" && validProfile[question.field]) {
+        validProfile[question.field] = await verifyUpload(validProfile[question.field], {
+          sessionId: session.sessionId,
+          playerId: req.player._id,
+        });
+      }
+    }
+
+    // The confirmation code is created with the first profile and kept after
+    const current = await Player.findById(playerId).select("+confirmCode");
+    const confirmCode = current?.confirmCode || generateConfirmCode();
+
+    const updatedPlayer = await Player.findByIdAndUpdate(
+      playerId,
+      { $set: { profile: validProfile, hasProfile: true, confirmCode } },
+      { new: true }
+    );
+    if (!updatedPlayer) {
+      return res.status(404).json({ error: "Player not found" });
+    }
+
+    // Emit an update to all clients in the session
+    // const players = await Player.find({ sessionId: updatedPlayer.sessionId }).sort({ score: -1, lastMatchAt: 1 });
+    // req.app.get("io").to(updatedPlayer.sessionId).emit("updateLeaderboard", players);
+    emitLeaderboardUpdate(req.app.get("io"), updatedPlayer.sessionId);
+
+    res.json({ ...updatedPlayer.toJSON(), confirmCode });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating player profile:", error);
+    res.status(500).json({ error: "Failed to update player profile" });
+  }
+});
+
+// Moderation: remove a player from their session. With ban: true their name
+// and device can't join again.
+router.post("/players/:playerId/kick", requireSessionRole("co-host", fromPlayerParam), async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({ error: "Player not found" });
+    }
+    const session = await Session.findOne({ sessionId: player.sessionId });
+
+    const result = await removePlayer(req.app.get("io"), {
+      session,
+      playerId: player._id,
+      actor: adminActor(req.admin),
+      reason: typeof req.body.reason === "string" ? req.body.reason.trim() : undefined,
+      ban: req.body.ban === true,
+    });
+
+    res.json({ message: "Player removed", ...result });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error removing player:", error);
+    res.status(500).json({ error: "Failed to remove player" });
+  }
+});
+
+// Moderation: rename a player
+router.patch("/players/:playerId/name", requireSessionRole("co-host", fromPlayerParam), async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({ error: "Player not found" });
+    }
+    const session = await Session.findOne({ sessionId: player.sessionId }).select(
+      "+blockedWords"
+    );
 
-    await Player.findByIdAndUpdate(finderId, {
-      $inc: { score: -10, wrongGuesses: 1 },
+    const updatedPlayer = await renamePlayer(req.app.get("io"), {
+      session,
+      playerId: player._id,
+      name: req.body.name,
     });
 
-    // const players = await Player.find({ sessionId }).sort({ score: -1, lastMatchAt: 1 });
-    // req.app.get("io").to(sessionId).emit("updateLeaderboard", players);
-    emitLeaderboardUpdate(req, sessionId);
+    res.json(updatedPlayer);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error renaming player:", error);
+    res.status(500).json({ error: "Failed to rename player" });
+  }
+});
+
+// Moderation: hide profile answers ({ fields: [...] } replaces the hidden set)
+router.put("/players/:playerId/hidden-fields", requireSessionRole("co-host", fromPlayerParam), async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({ error: "Player not found" });
+    }
+    const session = await Session.findOne({ sessionId: player.sessionId });
+
+    const updatedPlayer = await setHiddenFields(session, player._id, req.body.fields);
 
-    res.json({ message: "Score updated successfully" });
+    emitLeaderboardUpdate(req.app.get("io"), player.sessionId);
+    res.json(updatedPlayer);
   } catch (error) {
-    console.error("Error updating score:", error);
-    res.status(500).json({ error: "Failed to update score" });
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error hiding profile answers:", error);
+    res.status(500).json({ error: "Failed to hide profile answers" });
   }
 });
-// Get a new profile to find
-router.get(
-  "/sessions/:sessionId/player/:playerId/new-profile",
+
+// Moderation: hide or show the selfie of a match
+router.patch(
+  "/players/:playerId/matches/:foundPlayerId/selfie",
+  requireSessionRole("co-host", fromPlayerParam),
   async (req, res) => {
     try {
-      const { sessionId, playerId } = req.params;
-      const { skip } = req.query; // Get the skipped profile ID from the query params
+      const { playerId, foundPlayerId } = req.params;
+      if (typeof req.body.hidden !== "boolean") {
+        return res.status(400).json({ error: "hidden must be a boolean" });
+      }
+
+      const player = await Player.findById(playerId);
+      if (!player) {
+        return res.status(404).json({ error: "Player not found" });
+      }
+      const session = await Session.findOne({ sessionId: player.sessionId });
 
-      console.log(
-        `Fetching new profile for player ${playerId} in session ${sessionId}`
+      const updatedPlayer = await setSelfieHidden(
+        session,
+        player._id,
+        foundPlayerId,
+        req.body.hidden
       );
 
-      const currentPlayer = await Player.findById(playerId);
-      if (!currentPlayer) {
-        console.log(`Player ${playerId} not found`);
-        return res.status(404).json({ error: "Player not found" });
+      emitLeaderboardUpdate(req.app.get("io"), player.sessionId);
+      publishSelfieVisibility(req.app.get("io"), player.sessionId, updatedPlayer, foundPlayerId);
+      res.json(updatedPlayer);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
       }
-      console.log("Current player found:", currentPlayer.name);
+      console.error("Error hiding selfie:", error);
+      res.status(500).json({ error: "Failed to hide selfie" });
+    }
+  }
+);
+
+// Moderation settings of a session: bans and blocked words
+router.get("/sessions/:sessionId/moderation", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.sessionId }).select(
+      "+bans +blockedWords"
+    );
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
 
-      // Get all matched player IDs (convert to strings for comparison)
-      const matchedIds = (currentPlayer.matches || []).map((m) => m.playerId);
-      console.log("Already matched IDs:", matchedIds);
+    res.json({ bans: session.bans, blockedWords: session.blockedWords });
+  } catch (error) {
+    console.error("Error fetching moderation settings:", error);
+    res.status(500).json({ error: "Failed to fetch moderation settings" });
+  }
+});
+
+// Ban a name and/or device, or those of an existing player with playerId
+router.post("/sessions/:sessionId/bans", requireSessionRole("co-host"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    let { name, deviceId } = req.body;
 
-      const exclusionIds = [...matchedIds];
-      if (skip) {
-        exclusionIds.push(skip);
+    if (req.body.playerId) {
+      const player = mongoose.isValidObjectId(req.body.playerId)
+        ? await Player.findOne({ _id: req.body.playerId, sessionId }).select("+deviceId")
+        : null;
+      if (!player) {
+        return res.status(404).json({ error: "Player not found" });
       }
+      name = player.name;
+      deviceId = player.deviceId;
+    }
 
-      // Find and atomically update the player with the lowest timesAssigned
-      let playerToFind = await Player.findOneAndUpdate(
-        {
-          sessionId,
-          _id: {
-            $ne: playerId, // Exclude self
-            $nin: exclusionIds, // Exclude already matched and skipped
-          },
-          hasProfile: true, // Only players with profiles
-        },
-        { $inc: { timesAssigned: 1 } },
-        { sort: { timesAssigned: 1 }, new: true }
-      );
+    const ban = await addBan(sessionId, {
+      name: typeof name === "string" ? name : undefined,
+      deviceId,
+      reason: typeof req.body.reason === "string" ? req.body.reason.trim() : undefined,
+    });
+
+    res.status(201).json(ban);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error adding ban:", error);
+    res.status(500).json({ error: "Failed to add ban" });
+  }
+});
+
+router.delete("/sessions/:sessionId/bans/:banId", requireSessionRole("co-host"), async (req, res) => {
+  try {
+    const { sessionId, banId } = req.params;
+    const session = mongoose.isValidObjectId(banId)
+      ? await Session.findOneAndUpdate(
+          { sessionId, "bans._id": banId },
+          { $pull: { bans: { _id: banId } } }
+        )
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ error: "Ban not found" });
+    }
+
+    res.json({ message: "Ban removed" });
+  } catch (error) {
+    console.error("Error removing ban:", error);
+    res.status(500).json({ error: "Failed to remove ban" });
+  }
+});
+
+// Replace the session's blocked words, checked on join and profile submission
+router.put("/sessions/:sessionId/blocked-words", requireSessionRole("co-host"), async (req, res) => {
+  try {
+    const blockedWords = normalizeBlockedWords(req.body.words);
+    const session = await Session.findOneAndUpdate(
+      { sessionId: req.params.sessionId },
+      { blockedWords },
+      { new: true }
+    ).select("+blockedWords");
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json({ blockedWords: session.blockedWords });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating blocked words:", error);
+    res.status(500).json({ error: "Failed to update blocked words" });
+  }
+});
+
+// Player opt-in to keep their data after the session's retention period
+router.patch("/players/:playerId/preserve-data", requirePlayer, async (req, res) => {
+  try {
+    if (typeof req.body.preserveData !== "boolean") {
+      return res.status(400).json({ error: "preserveData must be a boolean" });
+    }
+
+    const updatedPlayer = await Player.findByIdAndUpdate(
+      req.player._id,
+      { preserveData: req.body.preserveData },
+      { new: true }
+    );
+    res.json(updatedPlayer);
+  } catch (error) {
+    console.error("Error updating data preference:", error);
+    res.status(500).json({ error: "Failed to update data preference" });
+  }
+});
+
+// Player self-service erasure of their profile, selfies and matches
+router.delete("/players/:playerId", requirePlayer, async (req, res) => {
+  try {
+    const result = await erasePlayer(req.app.get("io"), req.player);
+    res.json({ message: "Your data has been deleted", ...result });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error erasing player data:", error);
+    res.status(500).json({ error: "Failed to delete player data" });
+  }
+});
+
+// Admin: delete a session and everything in it. ?keepPreserved=true keeps
+// players who opted into preserveData.
+router.delete("/sessions/:sessionId", requireSessionRole("owner"), async (req, res) => {
+  try {
+    const result = await purgeSession(req.app.get("io"), req.params.sessionId, {
+      keepPreserved: req.query.keepPreserved === "true",
+    });
+    res.json({ message: "Session purged", ...result });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error purging session:", error);
+    res.status(500).json({ error: "Failed to purge session" });
+  }
+});
+
+// Admin: Update player score
+router.patch("/players/:playerId/score", requireSessionRole("co-host", fromPlayerParam), async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const { score, delta } = req.body;
+
+    // Either an absolute score or a relative delta, always with a reason
+    const value = score !== undefined ? score : delta;
+    if (value === undefined || isNaN(parseInt(value))) {
+      return res.status(400).json({ error: "Invalid score provided" });
+    }
+    const reason = requireReason(req.body.reason);
+
+    const { player: updatedPlayer, event } = await adjustScore({
+      playerId,
+      ...(score !== undefined ? { score: parseInt(score) } : { delta: parseInt(delta) }),
+      actor: adminActor(req.admin),
+      reason,
+    });
+
+    emitLeaderboardUpdate(req.app.get("io"), updatedPlayer.sessionId);
+
+    res.json({ ...updatedPlayer.toJSON(), scoreEvent: event });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating score:", error);
+    res.status(500).json({ error: "Failed to update score" });
+  }
+});
+
+// Score history of a player, oldest first
+router.get("/players/:playerId/score-events", requireSessionRole("viewer", fromPlayerParam), async (req, res) => {
+  try {
+    const events = await listScoreEvents({ playerId: req.params.playerId });
+    res.json({ events });
+  } catch (error) {
+    console.error("Error fetching score events:", error);
+    res.status(500).json({ error: "Failed to fetch score events" });
+  }
+});
+
+// Score history of a whole session, oldest first
+router.get("/sessions/:sessionId/score-events", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const events = await listScoreEvents({ sessionId: req.params.sessionId });
+    res.json({ events });
+  } catch (error) {
+    console.error("Error fetching score events:", error);
+    res.status(500).json({ error: "Failed to fetch score events" });
+  }
+});
+
+// Recompute a player's score from the ledger. Points a player had before the
+// ledger existed stay, as a baseline event taken with their first ledger
+// event (or by this call if they have none).
+router.post("/players/:playerId/score/rebuild", requireSessionRole("co-host", fromPlayerParam), async (req, res) => {
+  try {
+    const result = await rebuildScore(req.params.playerId);
+
+    emitLeaderboardUpdate(req.app.get("io"), result.player.sessionId);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error rebuilding score:", error);
+    res.status(500).json({ error: "Failed to rebuild score" });
+  }
+});
 
-      // If no player found AND we were skipping someone, try again without the skip
-      // This handles the case where the skipped player was the ONLY available player
-      if (!playerToFind && skip) {
-        console.log("No new players found, retrying with skipped player included.");
-        playerToFind = await Player.findOneAndUpdate(
-            {
-              sessionId,
-              _id: {
-                $ne: playerId, // Exclude self
-                $nin: matchedIds, // Exclude ONLY already matched (allow skipped)
-              },
-              hasProfile: true,
-            },
-            { $inc: { timesAssigned: 1 } },
-            { sort: { timesAssigned: 1 }, new: true }
-          );
+// Revoke a match, e.g. a bogus selfie. Both players lose the points it gave.
+router.post(
+  "/sessions/:sessionId/matches/:finderId/:foundPlayerId/revoke",
+  requireSessionRole("co-host"),
+  async (req, res) => {
+    try {
+      const { sessionId, finderId, foundPlayerId } = req.params;
+      const reason = requireReason(req.body.reason);
+      if (!mongoose.isValidObjectId(finderId) || !mongoose.isValidObjectId(foundPlayerId)) {
+        return res.status(404).json({ error: "Match not found", code: "MATCH_NOT_FOUND" });
       }
 
-      if (!playerToFind) {
-        console.log(`No more profiles to find for player ${playerId}`);
-        return res.status(200).json({ message: "ALL_PLAYERS_FOUND" });
+      const session = await Session.findOne({ sessionId });
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
       }
 
-      console.log(
-        `Assigned profile of ${playerToFind.name} to player ${currentPlayer.name}`
-      );
-      res.json({
-        profile: playerToFind.profile,
-        playerId: playerToFind._id,
-        playerName: playerToFind.name,
+      const result = await revokeMatch(req.app.get("io"), {
+        session,
+        finderId,
+        foundPlayerId,
+        actor: adminActor(req.admin),
+        reason,
       });
+
+      res.json({ message: "Match revoked", ...result });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
+      }
+      console.error("Error revoking match:", error);
+      res.status(500).json({ error: "Failed to revoke match" });
+    }
+  }
+);
+
+// Start session
+router.post("/sessions/:sessionId/start", requireSessionRole("co-host"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const updatedSession = await startSession(req.app.get("io"), sessionId);
+
+    res.json(updatedSession);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error starting session:", error);
+    res.status(500).json({ error: "Failed to start session" });
+  }
+});
+
+// Pause, resume or reopen a session
+for (const action of ["pause", "resume", "reopen"]) {
+  router.post(`/sessions/:sessionId/${action}`, requireSessionRole("co-host"), async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const updatedSession = await sessionActions[action](req.app.get("io"), sessionId);
+
+      res.json(updatedSession);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
+      }
+      console.error(`Error running ${action} on session:`, error);
+      res.status(500).json({ error: `Failed to ${action} session` });
+    }
+  });
+}
+
+// Extend, pause or resume the game timer
+for (const action of ["extend", "pause", "resume"]) {
+  router.post(`/sessions/:sessionId/timer/${action}`, requireSessionRole("co-host"), async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const updatedSession = await timerActions[action](
+        req.app.get("io"),
+        sessionId,
+        req.body.seconds
+      );
+
+      res.json(updatedSession);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
+      }
+      console.error(`Error running ${action} on timer:`, error);
+      res.status(500).json({ error: `Failed to ${action} timer` });
+    }
+  });
+}
+
+// End session
+router.post("/sessions/:sessionId/end", requireSessionRole("co-host"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const updatedSession = await endSession(req.app.get("io"), sessionId);
+
+    res.json(updatedSession);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error ending session:", error);
+    res.status(500).json({ error: "Failed to end session" });
+  }
+});
+
+// Get session players
+router.get("/sessions/:sessionId/players", async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const players = await Player.find({ sessionId })
+      .sort({ score: -1, lastMatchAt: 1 })
+      .select("-status");
+
+    res.json({ players });
+  } catch (error) {
+    console.error("Error fetching players:", error);
+    res.status(500).json({ error: "Failed to fetch players" });
+  }
+});
+
+// Get session results for download. ?format=csv returns one sheet
+// (?sheet=leaderboard|matches), ?format=zip every sheet as CSV, and
+// ?columns=a,b picks columns in both.
+router.get("/sessions/:sessionId/results", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { format = "json", sheet = "leaderboard", columns } = req.query;
+    const session = await Session.findOne({ sessionId });
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (!["json", "csv", "zip"].includes(format)) {
+      return res.status(400).json({ error: "Format must be json, csv or zip" });
+    }
+
+    const teams = await buildTeamLeaderboard(session);
+
+    if (format === "json") {
+      const players = await Player.find({ sessionId });
+      return res.json({ questions: session.questions, players, teams });
+    }
+
+    if (format === "csv" && !RESULT_SHEETS.includes(sheet)) {
+      return res
+        .status(400)
+        .json({ error: `Sheet must be one of ${RESULT_SHEETS.join(", ")}` });
+    }
+
+    const players = await Player.find({ sessionId }).sort({ score: -1, lastMatchAt: 1 });
+    const sheets = buildResultSheets(session, players, columns, teams);
+    if (format === "csv" && !sheets[sheet]) {
+      return res.status(400).json({ error: "Session has no teams" });
+    }
+    const baseName = `${sanitizeFileName(sessionId, "session")}-results`;
+
+    if (format === "csv") {
+      res.attachment(`${baseName}-${sheet}.csv`);
+      res.type("text/csv");
+      return res.send(sheets[sheet]);
+    }
+
+    res.attachment(`${baseName}.zip`);
+    await writeResultsZip(sheets, res);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error fetching session results:", error);
+    res.status(500).json({ error: "Failed to fetch session results" });
+  }
+});
+
+const MAX_BUCKET_MINUTES = 24 * 60;
+
+// Session analytics. ?bucketMinutes sets the matches-over-time resolution.
+router.get("/sessions/:sessionId/analytics", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.sessionId });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const bucketMinutes = Math.min(
+      Math.max(parseInt(req.query.bucketMinutes) || 5, 1),
+      MAX_BUCKET_MINUTES
+    );
+    res.json(await computeSessionAnalytics(session, { bucketMinutes }));
+  } catch (error) {
+    console.error("Error computing session analytics:", error);
+    res.status(500).json({ error: "Failed to compute session analytics" });
+  }
+});
+
+// "Who knows whom" graph: players as nodes, matches as finder -> found
+// edges. ?format=json|graphml
+router.get("/sessions/:sessionId/analytics/graph", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { format = "json" } = req.query;
+    const session = await Session.findOne({ sessionId });
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (!["json", "graphml"].includes(format)) {
+      return res.status(400).json({ error: "Format must be json or graphml" });
+    }
+
+    const { graph } = await computeSessionAnalytics(session);
+    const baseName = `${sanitizeFileName(sessionId, "session")}-connections`;
+
+    res.attachment(`${baseName}.${format}`);
+    if (format === "graphml") {
+      res.type("application/graphml+xml");
+      return res.send(toGraphML(graph));
+    }
+    res.json(graph);
+  } catch (error) {
+    console.error("Error exporting connection graph:", error);
+    res.status(500).json({ error: "Failed to export connection graph" });
+  }
+});
+
+// Host login, with a Mongo host account or the env admin
+router.post("/admin/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const claims = await authenticateHost(username, password);
+    if (!claims) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    const { token, expiresAt } = issueAdminToken(claims);
+    res.json({ token, expiresAt, username: claims.sub, isAdmin: claims.adm });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+// Admin logout
+router.post("/admin/logout", requireAdmin, async (req, res) => {
+  try {
+    await revokeAdminToken(req.admin);
+    res.json({ message: "Logout successful" });
+  } catch (error) {
+    console.error("Error revoking admin token:", error);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
+
+// Host accounts, managed by admins
+router.get("/hosts", requireAdmin, async (req, res) => {
+  try {
+    assertGlobalAdmin(req.admin);
+    const hosts = await Host.find().sort({ username: 1 });
+    res.json({ hosts });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error fetching hosts:", error);
+    res.status(500).json({ error: "Failed to fetch hosts" });
+  }
+});
+
+router.post("/hosts", requireAdmin, async (req, res) => {
+  try {
+    assertGlobalAdmin(req.admin);
+    const { username, password, displayName, isAdmin } = req.body;
+    assertValidCredentials({ username: username ?? "", password: password ?? "" });
+
+    if (await Host.exists({ username: normalizeUsername(username) })) {
+      return res.status(409).json({ error: "Username is taken", code: "USERNAME_TAKEN" });
+    }
+
+    const host = await Host.create({
+      username: normalizeUsername(username),
+      displayName: typeof displayName === "string" ? displayName.trim() : undefined,
+      passwordHash: await hashPassword(password),
+      isAdmin: isAdmin === true,
+    });
+    res.status(201).json(host);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error creating host:", error);
+    res.status(500).json({ error: "Failed to create host" });
+  }
+});
+
+// Change your own password
+router.patch("/hosts/me/password", requireAdmin, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!req.admin.hid) {
+      return res.status(400).json({ error: "This account is configured on the server" });
+    }
+    assertValidCredentials({ password: newPassword ?? "" });
+
+    const host = await Host.findById(req.admin.hid).select("+passwordHash");
+    if (!host || !(await verifyPassword(currentPassword, host.passwordHash))) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    host.passwordHash = await hashPassword(newPassword);
+    host.tokensValidAfter = new Date(); // Logs out every device, this one too
+    await host.save();
+    res.json({ message: "Password updated, please log in again" });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating password:", error);
+    res.status(500).json({ error: "Failed to update password" });
+  }
+});
+
+// Admins may reset passwords, disable hosts and grant admin rights
+router.patch("/hosts/:hostId", requireAdmin, async (req, res) => {
+  try {
+    assertGlobalAdmin(req.admin);
+    const { hostId } = req.params;
+    const { password, displayName, isAdmin, disabled } = req.body;
+
+    const update = {};
+    if (password !== undefined) {
+      assertValidCredentials({ password });
+      update.passwordHash = await hashPassword(password);
+    }
+    if (typeof displayName === "string") update.displayName = displayName.trim();
+    if (typeof isAdmin === "boolean") update.isAdmin = isAdmin;
+    if (typeof disabled === "boolean") update.disabled = disabled;
+    // Existing sessions end with a new password or changed rights
+    if (update.passwordHash || update.isAdmin !== undefined) {
+      update.tokensValidAfter = new Date();
+    }
+
+    const host = mongoose.isValidObjectId(hostId)
+      ? await Host.findByIdAndUpdate(hostId, update, { new: true })
+      : null;
+    if (!host) {
+      return res.status(404).json({ error: "Host not found" });
+    }
+
+    res.json(host);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating host:", error);
+    res.status(500).json({ error: "Failed to update host" });
+  }
+});
+
+// Owner and co-hosts of a session
+router.get("/sessions/:sessionId/hosts", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.sessionId })
+      .populate("ownerId", "username displayName")
+      .populate("hosts.hostId", "username displayName");
+
+    res.json({ owner: session.ownerId || null, hosts: session.hosts });
+  } catch (error) {
+    console.error("Error fetching session hosts:", error);
+    res.status(500).json({ error: "Failed to fetch session hosts" });
+  }
+});
+
+// Add a co-host or viewer by username, or change their role
+router.put("/sessions/:sessionId/hosts", requireSessionRole("owner"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { username, role } = req.body;
+
+    if (!GRANTABLE_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `Role must be one of ${GRANTABLE_ROLES.join(", ")}` });
+    }
+    const host = await Host.findOne({ username: normalizeUsername(username) });
+    if (!host) {
+      return res.status(404).json({ error: "Host not found" });
+    }
+
+    const session = await Session.findOne({ sessionId });
+    if (session.ownerId && String(session.ownerId) === String(host._id)) {
+      return res.status(400).json({ error: "The owner already has every right" });
+    }
+
+    await Session.updateOne({ sessionId }, { $pull: { hosts: { hostId: host._id } } });
+    const updatedSession = await Session.findOneAndUpdate(
+      { sessionId },
+      { $push: { hosts: { hostId: host._id, role } } },
+      { new: true }
+    );
+
+    res.json({ hosts: updatedSession.hosts });
+  } catch (error) {
+    console.error("Error updating session hosts:", error);
+    res.status(500).json({ error: "Failed to update session hosts" });
+  }
+});
+
+router.delete(
+  "/sessions/:sessionId/hosts/:hostId",
+  requireSessionRole("owner"),
+  async (req, res) => {
+    try {
+      const { sessionId, hostId } = req.params;
+      if (!mongoose.isValidObjectId(hostId)) {
+        return res.status(404).json({ error: "Host not found" });
+      }
+
+      const updatedSession = await Session.findOneAndUpdate(
+        { sessionId },
+        { $pull: { hosts: { hostId } } },
+        { new: true }
+      );
+
+      res.json({ hosts: updatedSession.hosts });
+    } catch (error) {
+      console.error("Error removing session host:", error);
+      res.status(500).json({ error: "Failed to remove session host" });
+    }
+  }
+);
+
+// Outgoing webhooks. Session webhooks are managed by the session's co-hosts,
+// global ones (every session) by admins. The secret is only returned when it
+// is created or rotated.
+const createWebhook = async (req, sessionId) => {
+  const secret = generateWebhookSecret();
+  const webhook = await Webhook.create({
+    ...(await normalizeWebhook(req.body)),
+    sessionId,
+    secret,
+    createdBy: req.admin.sub,
+  });
+  return { ...webhook.toJSON(), secret };
+};
+
+router.get("/webhooks", requireAdmin, async (req, res) => {
+  try {
+    assertGlobalAdmin(req.admin, "Only administrators can manage global webhooks");
+    const webhooks = await Webhook.find({ sessionId: null }).sort({ createdAt: -1 });
+    res.json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error fetching webhooks:", error);
+    res.status(500).json({ error: "Failed to fetch webhooks" });
+  }
+});
+
+router.post("/webhooks", requireAdmin, async (req, res) => {
+  try {
+    assertGlobalAdmin(req.admin, "Only administrators can manage global webhooks");
+    res.status(201).json(await createWebhook(req, null));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error creating webhook:", error);
+    res.status(500).json({ error: "Failed to create webhook" });
+  }
+});
+
+router.get("/sessions/:sessionId/webhooks", requireSessionRole("co-host"), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ sessionId: req.params.sessionId }).sort({
+      createdAt: -1,
+    });
+    res.json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error("Error fetching session webhooks:", error);
+    res.status(500).json({ error: "Failed to fetch webhooks" });
+  }
+});
+
+router.post("/sessions/:sessionId/webhooks", requireSessionRole("co-host"), async (req, res) => {
+  try {
+    res.status(201).json(await createWebhook(req, req.params.sessionId));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error creating session webhook:", error);
+    res.status(500).json({ error: "Failed to create webhook" });
+  }
+});
+
+// Change url, events, description or active. rotateSecret: true issues a
+// new secret.
+router.patch("/webhooks/:webhookId", requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhookFor(req.admin, req.params.webhookId);
+    const update = await normalizeWebhook(req.body, { partial: true });
+    const secret = req.body.rotateSecret === true ? generateWebhookSecret() : undefined;
+    if (secret) update.secret = secret;
+
+    const updated = await Webhook.findByIdAndUpdate(webhook._id, update, { new: true });
+    res.json(secret ? { ...updated.toJSON(), secret } : updated);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating webhook:", error);
+    res.status(500).json({ error: "Failed to update webhook" });
+  }
+});
+
+router.delete("/webhooks/:webhookId", requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhookFor(req.admin, req.params.webhookId);
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await Webhook.deleteOne({ _id: webhook._id });
+    res.json({ message: "Webhook deleted" });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error deleting webhook:", error);
+    res.status(500).json({ error: "Failed to delete webhook" });
+  }
+});
+
+// Delivery log, newest first, ?status=pending|succeeded|failed
+router.get("/webhooks/:webhookId/deliveries", requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhookFor(req.admin, req.params.webhookId);
+    const { status } = req.query;
+    if (status && !["pending", "succeeded", "failed"].includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const deliveries = await WebhookDelivery.find({
+      webhookId: webhook._id,
+      ...(status && { status }),
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json({ deliveries: deliveries.map((delivery) => deliveryView(webhook, delivery)) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error fetching webhook deliveries:", error);
+    res.status(500).json({ error: "Failed to fetch webhook deliveries" });
+  }
+});
+
+// Sends a "ping" right away and returns how the receiver answered
+router.post("/webhooks/:webhookId/test", requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhookFor(req.admin, req.params.webhookId);
+    const delivery = await sendTestDelivery(webhook, req.admin);
+    res.json({ delivery: deliveryView(webhook, delivery) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error sending test webhook:", error);
+    res.status(500).json({ error: "Failed to send test webhook" });
+  }
+});
+
+// Download all images from a session. With ?async=true the ZIP is built in
+// the background and can be fetched from the returned downloadUrl.
+router.get("/sessions/:sessionId/images", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await Session.findOne({ sessionId });
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    if (req.query.async === "true") {
+      const { job, downloadToken } = await startImageExportJob(sessionId);
+      return res.status(202).json(exportJobResponse(job, downloadToken));
+    }
+
+    res.attachment(`${sanitizeFileName(sessionId, "session")}-images.zip`);
+    await writeImageArchive(sessionId, res);
+  } catch (error) {
+    if (error instanceof HttpError) return sendHttpError(res, error);
+    console.error("Error creating image archive:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to create image archive" });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+const exportJobResponse = (job, downloadToken) => ({
+  jobId: job._id,
+  sessionId: job.sessionId,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  total: job.total,
+  failedCount: job.failedCount,
+  error: job.error,
+  statusUrl: `/api/exports/${job._id}`,
+  downloadUrl: `/api/exports/${job._id}/download?token=${downloadToken}`,
+});
+
+// Background export status
+router.get("/exports/:jobId", requireSessionRole("viewer", fromExportJobParam), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = mongoose.isValidObjectId(jobId)
+      ? await ExportJob.findById(jobId).select("+downloadToken")
+      : null;
+
+    if (!job) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+
+    const response = exportJobResponse(job, job.downloadToken);
+    if (job.status !== "completed") response.downloadUrl = null;
+    res.json(response);
+  } catch (error) {
+    console.error("Error fetching export:", error);
+    res.status(500).json({ error: "Failed to fetch export" });
+  }
+});
+
+// Download a finished export. The link carries its own token so it can be
+// opened directly in a browser.
+router.get("/exports/:jobId/download", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = mongoose.isValidObjectId(jobId)
+      ? await ExportJob.findById(jobId).select("+downloadToken")
+      : null;
+
+    if (!job || !safeEqual(req.query.token, job.downloadToken)) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+    if (job.status !== "completed") {
+      return res.status(409).json({ error: "Export is not ready yet", status: job.status });
+    }
+
+    const object = await exportStorage?.readObject(job.storageKey);
+    if (!object) {
+      return res.status(410).json({ error: "Export file is no longer available" });
+    }
+
+    res.attachment(`${sanitizeFileName(job.sessionId, "session")}-images.zip`);
+    res.type("application/zip");
+    object.body.on("error", (error) => res.destroy(error));
+    object.body.pipe(res);
+  } catch (error) {
+    console.error("Error downloading export:", error);
+    res.status(500).json({ error: "Failed to download export" });
+  }
+});
+
+// Confirm a match and update scores
+router.post("/sessions/:sessionId/match", requirePlayer, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { foundPlayerId, selfieUrl, code } = req.body;
+    const finder = req.player;
+
+    if (!mongoose.isValidObjectId(foundPlayerId)) {
+      return res.status(400).json({ error: "Invalid foundPlayerId" });
+    }
+    if (String(foundPlayerId) === String(finder._id)) {
+      return res.status(400).json({ error: "Cannot match yourself" });
+    }
+
+    const session = await Session.findOne({ sessionId });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    assertSessionStatus(session, ["playing"]);
+    assertTimeRemaining(session);
+
+    const foundPlayer = await Player.findOne({ _id: foundPlayerId, sessionId }).select(
+      "+confirmCode"
+    );
+    if (!foundPlayer) {
+      return res.status(404).json({ error: "Found player not found" });
+    }
+    if (!foundPlayer.confirmCode) {
+      return res.status(400).json({ error: "Found player has no profile yet" });
+    }
+
+    // Only selfies the finder actually uploaded to our bucket are kept
+    const verifiedSelfieUrl = selfieUrl
+      ? await verifyUpload(selfieUrl, { sessionId, playerId: finder._id })
+      : undefined;
+
+    const io = req.app.get("io");
+
+    if (session.matchVerification === "handshake") {
+      const confirmation = await requestMatchConfirmation(io, {
+        session,
+        finder,
+        foundPlayer,
+        selfieUrl: verifiedSelfieUrl,
+      });
+
+      return res.status(202).json({
+        message: "Waiting for the found player to confirm",
+        status: "pending",
+        confirmationId: confirmation._id,
+        expiresAt: confirmation.expiresAt,
+      });
+    }
+
+    const result = await confirmMatchWithCode(io, {
+      session,
+      finder,
+      foundPlayer,
+      code,
+      selfieUrl: verifiedSelfieUrl,
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error confirming match:", error);
+    res.status(500).json({ error: "Failed to confirm match" });
+  }
+});
+
+router.post("/sessions/:sessionId/wrong-match", requirePlayer, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({ sessionId });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    assertSessionStatus(session, ["playing"]);
+    assertTimeRemaining(session);
+
+    const points = await recordWrongMatch(req.app.get("io"), session, req.player._id);
+
+    res.json({ message: "Score updated successfully", points });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error("Error updating score:", error);
+    res.status(500).json({ error: "Failed to update score" });
+  }
+});
+// Get the profile to find. Repeated calls return the same target until it is
+// matched, skipped (?skip=<its playerId>) or expires.
+router.get(
+  "/sessions/:sessionId/player/:playerId/new-profile",
+  requirePlayer,
+  async (req, res) => {
+    try {
+      const { sessionId, playerId } = req.params;
+      const { skip } = req.query; // The current target's ID when skipping it
+      // Optionally leave out players who have been offline for a while
+      const skipOffline = req.query.skipOffline === "true";
+      const presenceFilter = skipOffline
+        ? notOfflineFor(parseInt(req.query.offlineMinutes) || DEFAULT_OFFLINE_MINUTES)
+        : {};
+
+      if (skip && !mongoose.isValidObjectId(skip)) {
+        return res.status(400).json({ error: "Invalid skip player ID" });
+      }
+
+      const session = await Session.findOne({ sessionId });
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      assertSessionStatus(session, ["playing"]);
+
+      const { target, reason } = await getAssignment(playerId, {
+        skip,
+        filter: presenceFilter,
+      });
+
+      if (reason === "PLAYER_NOT_FOUND") {
+        console.log(`Player ${playerId} not found`);
+        return res.status(404).json({ error: "Player not found" });
+      }
+      if (!target) {
+        console.log(`No profile to assign to player ${playerId}: ${reason}`);
+        return res.status(200).json({ message: reason });
+      }
+
+      res.json(target);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
+      }
       console.error("Error getting new profile:", error);
       res.status(500).json({ error: "Failed to get new profile" });
     }
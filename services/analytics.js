@@ -0,0 +1,188 @@
+import { Player } from "../models/index.js";
+
+const TOP_COUNT = 5;
+
+// Median of an already sorted numeric array field, null when empty
+const medianOf = (field) => {
+  const size = { $size: field };
+  const middle = (round) => ({
+    $arrayElemAt: [field, { [round]: { $divide: [{ $subtract: [size, 1] }, 2] } }],
+  });
+  return {
+    $cond: [{ $eq: [size, 0] }, null, { $avg: [middle("$floor"), middle("$ceil")] }],
+  };
+};
+
+const medianPipeline = (valueExpr) => [
+  { $project: { value: valueExpr } },
+  { $match: { value: { $ne: null } } },
+  { $sort: { value: 1 } },
+  { $group: { _id: null, values: { $push: "$value" } } },
+  { $project: { _id: 0, count: { $size: "$values" }, median: medianOf("$values") } },
+];
+
+const secondsSince = (start, field) => ({
+  $round: [{ $divide: [{ $subtract: [field, start] }, 1000] }, 1],
+});
+
+// Everything is computed by one $facet aggregation over the session's
+// players so large sessions aren't loaded into memory
+export const computeSessionAnalytics = async (session, { bucketMinutes = 5 } = {}) => {
+  const start = session.startedAt || session.createdAt;
+
+  const [facets] = await Player.aggregate([
+    { $match: { sessionId: session.sessionId } },
+    {
+      $facet: {
+        matchesOverTime: [
+          { $unwind: "$matches" },
+          {
+            $group: {
+              _id: {
+                $dateTrunc: { date: "$matches.timestamp", unit: "minute", binSize: bucketMinutes },
+              },
+              matches: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, bucket: "$_id", matches: 1 } },
+        ],
+        timeToFirstMatch: [
+          { $match: { "matches.0": { $exists: true } } },
+          ...medianPipeline(secondsSince(start, { $min: "$matches.timestamp" })),
+        ],
+        timeToCompletion: [
+          { $match: { completedAt: { $ne: null } } },
+          ...medianPipeline(secondsSince(start, "$completedAt")),
+        ],
+        foundCounts: [
+          { $unwind: "$matches" },
+          { $group: { _id: "$matches.playerId", timesFound: { $sum: 1 } } },
+        ],
+        players: [
+          {
+            $project: {
+              name: 1,
+              hasProfile: 1,
+              score: 1,
+              wrongGuesses: { $ifNull: ["$wrongGuesses", 0] },
+              matchCount: { $size: { $ifNull: ["$matches", []] } },
+              timesAssigned: { $ifNull: ["$timesAssigned", 0] },
+              timesSkipped: { $ifNull: ["$timesSkipped", 0] },
+              skipsMade: { $ifNull: ["$skipsMade", 0] },
+            },
+          },
+        ],
+        edges: [
+          { $unwind: "$matches" },
+          {
+            $project: {
+              _id: 0,
+              source: "$_id",
+              target: "$matches.playerId",
+              timestamp: "$matches.timestamp",
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const foundCounts = new Map(
+    facets.foundCounts.map((entry) => [String(entry._id), entry.timesFound])
+  );
+  const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+  const players = facets.players.map((player) => ({
+    playerId: player._id,
+    name: player.name,
+    hasProfile: !!player.hasProfile,
+    score: player.score || 0,
+    matches: player.matchCount,
+    timesFound: foundCounts.get(String(player._id)) || 0,
+    wrongGuesses: player.wrongGuesses,
+    wrongGuessRate: rate(player.wrongGuesses, player.wrongGuesses + player.matchCount),
+    timesAssigned: player.timesAssigned,
+    timesSkipped: player.timesSkipped,
+    skipRate: rate(player.timesSkipped, player.timesAssigned),
+    skipsMade: player.skipsMade,
+  }));
+
+  const findable = players.filter((player) => player.hasProfile);
+  const byFound = [...findable].sort((a, b) => b.timesFound - a.timesFound);
+  const sum = (field) => players.reduce((total, player) => total + player[field], 0);
+  const median = (facet) => facet[0] || { count: 0, median: null };
+
+  return {
+    sessionId: session.sessionId,
+    startedAt: start,
+    totals: {
+      players: players.length,
+      playersWithProfile: findable.length,
+      matches: sum("matches"),
+      wrongGuesses: sum("wrongGuesses"),
+      wrongGuessRate: rate(sum("wrongGuesses"), sum("wrongGuesses") + sum("matches")),
+      assignments: sum("timesAssigned"),
+      skips: sum("timesSkipped"),
+      skipRate: rate(sum("timesSkipped"), sum("timesAssigned")),
+    },
+    matchesOverTime: { bucketMinutes, buckets: facets.matchesOverTime },
+    medianSecondsToFirstMatch: median(facets.timeToFirstMatch),
+    medianSecondsToCompletion: median(facets.timeToCompletion),
+    mostFound: byFound.slice(0, TOP_COUNT),
+    leastFound: byFound.slice(-TOP_COUNT).reverse(),
+    neverFound: findable.filter((player) => player.timesFound === 0),
+    players,
+    graph: {
+      nodes: players.map((player) => ({
+        id: player.playerId,
+        name: player.name,
+        score: player.score,
+        matches: player.matches,
+        timesFound: player.timesFound,
+      })),
+      edges: facets.edges,
+    },
+  };
+};
+
+const escapeXml = (value) =>
+  String(value ?? "").replace(
+    /[<>&"']/g,
+    (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[char]
+  );
+
+// GraphML for tools like Gephi, yEd or Cytoscape
+export const toGraphML = (graph) => {
+  const nodes = graph.nodes
+    .map(
+      (node) =>
+        `    <node id="${escapeXml(node.id)}">\n` +
+        `      <data key="name">${escapeXml(node.name)}</data>\n` +
+        `      <data key="score">${node.score}</data>\n` +
+        `      <data key="timesFound">${node.timesFound}</data>\n` +
+        `    </node>`
+    )
+    .join("\n");
+  const edges = graph.edges
+    .map(
+      (edge, index) =>
+        `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">\n` +
+        `      <data key="timestamp">${escapeXml(edge.timestamp?.toISOString?.() ?? edge.timestamp)}</data>\n` +
+        `    </edge>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="name" for="node" attr.name="name" attr.type="string"/>
+  <key id="score" for="node" attr.name="score" attr.type="int"/>
+  <key id="timesFound" for="node" attr.name="timesFound" attr.type="int"/>
+  <key id="timestamp" for="edge" attr.name="timestamp" attr.type="string"/>
+  <graph id="connections" edgedefault="directed">
+${nodes}
+${edges}
+  </graph>
+</graphml>
+`;
+};
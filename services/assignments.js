@@ -0,0 +1,162 @@
+/* global process */
+
+import { Player } from "../models/index.js";
+import { visibleProfile } from "./players.js";
+
+const minutes = (value, fallback) => (parseFloat(value) || fallback) * 60 * 1000;
+
+// How long a finder keeps a target they haven't matched or skipped, and how
+// long a skipped player stays out of that finder's rotation
+const assignmentTtl = () => minutes(process.env.ASSIGNMENT_TTL_MINUTES, 15);
+const skipCooldown = () => minutes(process.env.SKIP_COOLDOWN_MINUTES, 5);
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+const targetView = (target, assignedAt) => ({
+  profile: visibleProfile(target),
+  playerId: target._id,
+  playerName: target.name,
+  assignedAt,
+  expiresAt: new Date(new Date(assignedAt).getTime() + assignmentTtl()),
+});
+
+// Drops a finder's assignment and frees the target's slot. Only the caller
+// that actually cleared the assignment decrements, so concurrent releases
+// can't double count.
+export const releaseAssignment = async (finderId, targetId) => {
+  const released = await Player.findOneAndUpdate(
+    { _id: finderId, "currentAssignment.playerId": targetId },
+    { $unset: { currentAssignment: "" } }
+  );
+  if (!released) return false;
+
+  await Player.updateOne(
+    { _id: targetId, activeAssignments: { $gt: 0 } },
+    { $inc: { activeAssignments: -1 } }
+  );
+  return true;
+};
+
+// Releases assignments in the session older than the TTL, e.g. from finders
+// who closed the app
+export const expireStaleAssignments = async (sessionId) => {
+  const stale = await Player.find({
+    sessionId,
+    "currentAssignment.assignedAt": { $lt: new Date(Date.now() - assignmentTtl()) },
+  }).select("currentAssignment");
+
+  await Promise.all(
+    stale.map((finder) => releaseAssignment(finder._id, finder.currentAssignment.playerId))
+  );
+  return stale.length;
+};
+
+// Clears every assignment in a session, e.g. when the game ends
+export const resetAssignments = (sessionId) =>
+  Player.updateMany(
+    { sessionId },
+    { $unset: { currentAssignment: "" }, $set: { activeAssignments: 0 } }
+  );
+
+const recordSkip = async (finder, targetId) => {
+  const released = await releaseAssignment(finder._id, targetId);
+  if (!released) return;
+
+  await Player.updateOne({ _id: finder._id }, { $pull: { skipped: { playerId: targetId } } });
+  await Player.updateOne(
+    { _id: finder._id },
+    {
+      $push: { skipped: { playerId: targetId, skippedAt: new Date() } },
+      $inc: { skipsMade: 1 },
+    }
+  );
+  await Player.updateOne({ _id: targetId }, { $inc: { timesSkipped: 1 } });
+};
+
+// Picks the findable player with the fewest finders currently hunting them,
+// cumulative assignments breaking ties
+const claimTarget = (finder, excludedIds, filter) =>
+  Player.findOneAndUpdate(
+    {
+      sessionId: finder.sessionId,
+      _id: { $ne: finder._id, $nin: excludedIds },
+      hasProfile: true,
+      ...filter,
+    },
+    { $inc: { activeAssignments: 1, timesAssigned: 1 } },
+    { sort: { activeAssignments: 1, timesAssigned: 1 }, new: true }
+  );
+
+// Returns the finder's current target, assigning a new one when they have
+// none, matched it or skipped it (`skip` = the current target's id).
+// Repeated calls return the same target. Returns { target } or { reason }
+// with NO_ONLINE_PLAYERS / ALL_PLAYERS_FOUND.
+export const getAssignment = async (finderId, { skip, filter = {} } = {}) => {
+  let finder = await Player.findById(finderId);
+  if (!finder) return { reason: "PLAYER_NOT_FOUND" };
+
+  await expireStaleAssignments(finder.sessionId);
+  finder = await Player.findById(finderId);
+
+  const matchedIds = (finder.matches || []).map((m) => m.playerId);
+  const currentId = finder.currentAssignment?.playerId;
+
+  if (currentId) {
+    if (sameId(skip, currentId)) {
+      await recordSkip(finder, currentId);
+    } else if (matchedIds.some((id) => sameId(id, currentId))) {
+      await releaseAssignment(finder._id, currentId);
+    } else {
+      const target = await Player.findOne({
+        _id: currentId,
+        sessionId: finder.sessionId,
+        hasProfile: true,
+      });
+      if (target) {
+        return { target: targetView(target, finder.currentAssignment.assignedAt) };
+      }
+      await releaseAssignment(finder._id, currentId);
+    }
+  }
+
+  // Skipped players sit out their cool-down unless nobody else is left
+  const cooldownStart = Date.now() - skipCooldown();
+  const coolingDown = (finder.skipped || [])
+    .filter((entry) => entry.skippedAt.getTime() > cooldownStart)
+    .map((entry) => entry.playerId);
+  if (skip && !coolingDown.some((id) => sameId(id, skip))) coolingDown.push(skip);
+
+  let target = await claimTarget(finder, [...matchedIds, ...coolingDown], filter);
+  if (!target && coolingDown.length > 0) {
+    target = await claimTarget(finder, matchedIds, filter);
+  }
+
+  if (!target) {
+    // With a presence filter, others may still be left but offline
+    const unmatchedLeft =
+      Object.keys(filter).length > 0 &&
+      (await Player.exists({
+        sessionId: finder.sessionId,
+        _id: { $ne: finder._id, $nin: matchedIds },
+        hasProfile: true,
+      }));
+    return { reason: unmatchedLeft ? "NO_ONLINE_PLAYERS" : "ALL_PLAYERS_FOUND" };
+  }
+
+  // Only one concurrent request may set the assignment, the others give
+  // their slot back and return the winner's target
+  const assignedAt = new Date();
+  const locked = await Player.findOneAndUpdate(
+    { _id: finder._id, "currentAssignment.playerId": null },
+    { currentAssignment: { playerId: target._id, assignedAt } }
+  );
+  if (!locked) {
+    await Player.updateOne(
+      { _id: target._id, activeAssignments: { $gt: 0 } },
+      { $inc: { activeAssignments: -1 } }
+    );
+    return getAssignment(finderId, { filter });
+  }
+
+  return { target: targetView(target, assignedAt) };
+};
@@ -0,0 +1,109 @@
+/* global process */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { promisify } from "util";
+import { safeEqual } from "../middleware/auth.js";
+import { Host } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,49}$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Per-session roles, higher includes the rights of lower ones
+export const SESSION_ROLES = { viewer: 1, "co-host": 2, owner: 3 };
+export const GRANTABLE_ROLES = ["co-host", "viewer"];
+
+// "scrypt$<salt>$<hash>", both base64url
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored ?? "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64url");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64url"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+export const normalizeUsername = (username) =>
+  typeof username === "string" ? username.trim().toLowerCase() : "";
+
+export const assertValidCredentials = ({ username, password }) => {
+  if (username !== undefined && !USERNAME_PATTERN.test(normalizeUsername(username))) {
+    throw new HttpError(
+      400,
+      "Username must be 3 to 50 letters, digits, dots, dashes or underscores",
+      "INVALID_USERNAME"
+    );
+  }
+  if (
+    password !== undefined &&
+    (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+  ) {
+    throw new HttpError(
+      400,
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      "INVALID_PASSWORD"
+    );
+  }
+};
+
+// Host accounts in Mongo first, then the ADMIN_USERNAME / ADMIN_PASSWORD
+// account from the environment, which is a global admin and is how the
+// first hosts get created. Returns the token claims, or null.
+export const authenticateHost = async (username, password) => {
+  const host = await Host.findOne({ username: normalizeUsername(username) }).select(
+    "+passwordHash"
+  );
+  if (host) {
+    if (host.disabled || !(await verifyPassword(password, host.passwordHash))) return null;
+    return { sub: host.username, hid: String(host._id), adm: host.isAdmin };
+  }
+
+  if (
+    process.env.ADMIN_USERNAME &&
+    process.env.ADMIN_PASSWORD &&
+    safeEqual(username, process.env.ADMIN_USERNAME) &&
+    safeEqual(password, process.env.ADMIN_PASSWORD)
+  ) {
+    return { sub: username, adm: true };
+  }
+  return null;
+};
+
+// The caller's role on a session, or null. Global admins act as owners.
+export const sessionRoleFor = (admin, session) => {
+  if (!admin) return null;
+  if (admin.adm) return "owner";
+  if (!admin.hid) return null;
+  if (session.ownerId && String(session.ownerId) === admin.hid) return "owner";
+  return (session.hosts || []).find((entry) => String(entry.hostId) === admin.hid)?.role || null;
+};
+
+export const hasSessionRole = (admin, session, minRole) =>
+  (SESSION_ROLES[sessionRoleFor(admin, session)] || 0) >= SESSION_ROLES[minRole];
+
+// Socket room for the hosts of a session, for events players must not see
+export const hostRoom = (sessionId) => `host:${sessionId}`;
+
+// Filter for the sessions a caller may see
+export const visibleSessionsFilter = (admin) => {
+  if (admin.adm) return {};
+  if (!admin.hid) return { _id: null };
+
+  const hostId = new mongoose.Types.ObjectId(admin.hid);
+  return { $or: [{ ownerId: hostId }, { "hosts.hostId": hostId }] };
+};
+
+export const assertGlobalAdmin = (admin, message = "Only administrators can manage hosts") => {
+  if (!admin?.adm) {
+    throw new HttpError(403, message, "FORBIDDEN");
+  }
+};
@@ -0,0 +1,245 @@
+import archiver from "archiver";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ExportJob, Player } from "../models/index.js";
+import storage, { exportStorage, readObjectBuffer } from "../storage/index.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { toCsv } from "../utils/csv.js";
+import { HttpError } from "../utils/errors.js";
+
+const FETCH_CONCURRENCY = 8;
+const MAX_NAME_LENGTH = 80;
+const MAX_PENDING_BYTES = 32 * 1024 * 1024;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+};
+
+// Keeps names readable but safe as ZIP paths on every OS
+export const sanitizeFileName = (name, fallback = "player") =>
+  String(name ?? "")
+    .normalize("NFKC")
+    .replace(/[^\p{L}\p{N} ._-]+/gu, "_")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.]+|[\s.]+$/g, "")
+    .slice(0, MAX_NAME_LENGTH) || fallback;
+
+// Returns a function handing out unique names within one namespace
+const uniqueNamer = () => {
+  const used = new Set();
+  return (name) => {
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${name} (${n})`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+};
+
+// One entry per match that has a selfie, with its folder and base file name
+const collectEntries = (players) => {
+  const folderName = uniqueNamer();
+  const entries = [];
+
+  for (const player of players) {
+    const folder = folderName(sanitizeFileName(player.name));
+    const fileName = uniqueNamer();
+
+    for (const match of player.matches || []) {
+      if (match.hidden) continue; // Hidden by a host
+      entries.push({
+        finder: player.name,
+        finderId: String(player._id),
+        found: match.playerName,
+        foundId: String(match.playerId),
+        timestamp: match.timestamp,
+        selfieUrl: match.selfieUrl || null,
+        baseName: match.selfieUrl ? `${folder}/${fileName(sanitizeFileName(match.playerName))}` : null,
+      });
+    }
+  }
+
+  return entries;
+};
+
+// Tracks bytes handed to archiver that haven't come out of it yet. wait()
+// holds back further fetches while too many are queued, so a slow client
+// can't make a whole session's images pile up in memory.
+const outputGate = (archive) => {
+  let pending = 0;
+  let waiters = [];
+  const release = () => {
+    waiters.forEach((resolve) => resolve());
+    waiters = [];
+  };
+
+  archive.on("data", (chunk) => {
+    pending -= chunk.length;
+    if (pending <= MAX_PENDING_BYTES) release();
+  });
+  archive.on("error", release); // The archive fails as a whole, don't hang
+
+  return {
+    add: (bytes) => {
+      pending += bytes;
+    },
+    wait: () =>
+      pending <= MAX_PENDING_BYTES ? Promise.resolve() : new Promise((resolve) => waiters.push(resolve)),
+  };
+};
+
+const manifestColumns = [
+  { header: "finder", value: (entry) => entry.finder },
+  { header: "finderId", value: (entry) => entry.finderId },
+  { header: "found", value: (entry) => entry.found },
+  { header: "foundId", value: (entry) => entry.foundId },
+  { header: "timestamp", value: (entry) => entry.timestamp },
+  { header: "selfieUrl", value: (entry) => entry.selfieUrl },
+  { header: "file", value: (entry) => entry.file },
+  { header: "status", value: (entry) => entry.status },
+  { header: "error", value: (entry) => entry.error },
+];
+
+// Writes the session's selfies as <finder>/<found>.<ext> plus manifest.json
+// and manifest.csv into `output`. Images are fetched through the storage
+// driver with bounded concurrency, failures are listed in the manifest.
+export const writeImageArchive = async (sessionId, output, onProgress = () => {}) => {
+  const players = await Player.find({ sessionId }).sort({ name: 1, _id: 1 });
+  const entries = collectEntries(players);
+  const withImages = entries.filter((entry) => entry.selfieUrl);
+
+  // Only the manifests are compressed, images are stored as they are
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const done = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("finish", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+  archive.pipe(output);
+  const gate = outputGate(archive);
+
+  let processed = 0;
+  await mapWithConcurrency(withImages, FETCH_CONCURRENCY, async (entry) => {
+    try {
+      await gate.wait();
+      const key = storage.keyFromUrl(entry.selfieUrl);
+      const image = key && (await readObjectBuffer(key));
+      if (!image) throw new Error("Image not found in storage");
+
+      const extension =
+        EXTENSIONS[image.contentType] || path.extname(key).slice(1).toLowerCase() || "jpg";
+      entry.file = `${entry.baseName}.${extension}`;
+      entry.status = "ok";
+      gate.add(image.buffer.length);
+      archive.append(image.buffer, { name: entry.file, date: entry.timestamp, store: true });
+    } catch (error) {
+      console.error(`Failed to export image for ${entry.finder}:`, error.message);
+      entry.status = "failed";
+      entry.error = error.message;
+    }
+    onProgress(++processed, withImages.length);
+  });
+
+  for (const entry of entries) {
+    if (!entry.selfieUrl) entry.status = "no_selfie";
+    delete entry.baseName;
+  }
+
+  const failed = entries.filter((entry) => entry.status === "failed");
+  archive.append(
+    JSON.stringify(
+      {
+        sessionId,
+        exportedAt: new Date(),
+        totalMatches: entries.length,
+        images: withImages.length - failed.length,
+        failed: failed.length,
+        matches: entries,
+      },
+      null,
+      2
+    ),
+    { name: "manifest.json" }
+  );
+  archive.append(toCsv(entries, manifestColumns), { name: "manifest.csv" });
+
+  await archive.finalize();
+  await done;
+
+  return { total: withImages.length, failed: failed.length };
+};
+
+// Runs the export in the background and stores the ZIP in the private export
+// storage. Progress is tracked on the ExportJob document.
+export const startImageExportJob = async (sessionId) => {
+  if (!exportStorage) {
+    throw new HttpError(
+      503,
+      "Background exports need a private bucket, set AWS_EXPORTS_BUCKET",
+      "EXPORTS_UNAVAILABLE"
+    );
+  }
+
+  const downloadToken = crypto.randomBytes(24).toString("base64url");
+  const job = await ExportJob.create({ sessionId, type: "images", downloadToken });
+
+  runImageExportJob(job).catch((error) =>
+    console.error(`Export job ${job._id} crashed:`, error)
+  );
+
+  return { job, downloadToken };
+};
+
+const runImageExportJob = async (job) => {
+  const tempFile = path.join(os.tmpdir(), `export-${job._id}.zip`);
+  const storageKey = `${job.sessionId}/${job._id}.zip`;
+
+  try {
+    await ExportJob.findByIdAndUpdate(job._id, { status: "running" });
+
+    let lastSaved = 0;
+    const { total, failed } = await writeImageArchive(
+      job.sessionId,
+      fs.createWriteStream(tempFile),
+      (progress, count) => {
+        // Don't hit the database for every single image
+        if (progress - lastSaved >= 10 || progress === count) {
+          lastSaved = progress;
+          ExportJob.findByIdAndUpdate(job._id, { progress, total: count }).catch(() => {});
+        }
+      }
+    );
+
+    const { size } = await fs.promises.stat(tempFile);
+    await exportStorage.putObject(storageKey, fs.createReadStream(tempFile), {
+      contentType: "application/zip",
+      size,
+    });
+
+    await ExportJob.findByIdAndUpdate(job._id, {
+      status: "completed",
+      progress: total,
+      total,
+      failedCount: failed,
+      storageKey,
+      completedAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`Export job ${job._id} failed:`, error);
+    await ExportJob.findByIdAndUpdate(job._id, { status: "failed", error: error.message });
+  } finally {
+    await fs.promises.rm(tempFile, { force: true });
+  }
+};
+
+// Jobs that were running when the process stopped will never finish
+export const failInterruptedExports = () =>
+  ExportJob.updateMany(
+    { status: { $in: ["pending", "running"] } },
+    { status: "failed", error: "Interrupted by a server restart" }
+  );
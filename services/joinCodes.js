@@ -0,0 +1,90 @@
+/* global process */
+
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { Session } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+
+// No 0/O, 1/I/L so codes survive being read out loud or off a projector
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+const MAX_ATTEMPTS = 10;
+
+const randomString = (alphabet, length) => {
+  let code = "";
+  for (let i = 0; i < length; i++) code += alphabet[crypto.randomInt(alphabet.length)];
+  return code;
+};
+
+// Internal session ids, no longer derived from the session name
+export const generateSessionId = () => randomString("abcdefghijkmnpqrstuvwxyz23456789", 12);
+
+export const normalizeJoinCode = (code) =>
+  String(code ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// A code no other session uses. The unique index still guards against two
+// sessions racing for the same code, see withUniqueJoinCode.
+export const generateJoinCode = async () => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const code = randomString(CODE_ALPHABET, CODE_LENGTH);
+    if (!(await Session.exists({ joinCode: code }))) return code;
+  }
+  throw new Error("Could not generate a free join code");
+};
+
+// Runs `save(code)` with fresh codes until it doesn't hit the unique index
+export const withUniqueJoinCode = async (save) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    try {
+      return await save(await generateJoinCode());
+    } catch (error) {
+      if (!isDuplicateKey(error) || !error.keyPattern?.joinCode) throw error;
+    }
+  }
+  throw new Error("Could not generate a free join code");
+};
+
+// Replaces a session's code, e.g. after it leaked. Sessions created before
+// join codes existed get their first one this way too.
+export const rotateJoinCode = async (sessionId) => {
+  const session = await withUniqueJoinCode((joinCode) =>
+    Session.findOneAndUpdate({ sessionId }, { joinCode }, { new: true })
+  );
+  if (!session) {
+    throw new HttpError(404, "Session not found", "SESSION_NOT_FOUND");
+  }
+  return session;
+};
+
+export const ensureJoinCode = async (session) =>
+  session.joinCode ? session : rotateJoinCode(session.sessionId);
+
+export const findSessionByJoinCode = async (code) => {
+  const joinCode = normalizeJoinCode(code);
+  if (joinCode.length !== CODE_LENGTH) return null;
+  return Session.findOne({ joinCode });
+};
+
+// Where the QR code points. JOIN_URL is the frontend's join page, e.g.
+// https://example.com/join, and gets the code appended.
+export const joinUrlFor = (joinCode) => {
+  const base = (process.env.JOIN_URL || `${process.env.PUBLIC_URL || ""}/join`).replace(/\/$/, "");
+  return `${base}/${joinCode}`;
+};
+
+const QR_OPTIONS = { errorCorrectionLevel: "M", margin: 2 };
+const MIN_QR_SIZE = 128;
+const MAX_QR_SIZE = 2048;
+
+// QR code of the join URL, as an SVG string or a PNG buffer
+export const renderJoinQr = async (joinCode, { format = "svg", size = 512 } = {}) => {
+  const width = Math.min(Math.max(parseInt(size) || 512, MIN_QR_SIZE), MAX_QR_SIZE);
+  const url = joinUrlFor(joinCode);
+
+  if (format === "png") {
+    return QRCode.toBuffer(url, { ...QR_OPTIONS, type: "png", width });
+  }
+  return QRCode.toString(url, { ...QR_OPTIONS, type: "svg", width });
+};
@@ -0,0 +1,144 @@
+/* global process */
+
+import broadcast from "../broadcast/index.js";
+import { Player, Session } from "../models/index.js";
+import { toSpectators } from "./spectators.js";
+import { buildTeamLeaderboard } from "./teams.js";
+
+const THROTTLE_INTERVAL = 5000; // 5 seconds
+// Every nth update goes out in full so clients that missed a diff catch up
+const FULL_SNAPSHOT_EVERY = parseInt(process.env.LEADERBOARD_FULL_EVERY) || 20;
+
+const ROW_FIELDS = ["rank", "name", "score", "teamId", "matches", "foundBy", "isCompleted"];
+
+// Throttled sends scheduled on this instance, removed once they ran
+const pendingSends = new Map();
+
+// Slim leaderboard rows, no profiles or selfies. `players` must already be
+// sorted by rank.
+export const toLeaderboardRows = (players) =>
+  players.map((player, index) => ({
+    rank: index + 1,
+    playerId: String(player._id),
+    name: player.name,
+    score: player.score,
+    teamId: player.teamId ?? null,
+    matches: player.peopleKnown,
+    foundBy: player.peopleWhoKnowYou,
+    isCompleted: player.isCompleted,
+  }));
+
+export const buildLeaderboardRows = async (sessionId) => {
+  const players = await Player.find({ sessionId })
+    .select("name score teamId peopleKnown peopleWhoKnowYou isCompleted lastMatchAt")
+    .sort({ score: -1, lastMatchAt: 1, _id: 1 })
+    .lean();
+
+  return toLeaderboardRows(players);
+};
+
+// Rows that are new or differ from the previous leaderboard, plus the ids of
+// players that dropped out of it
+export const diffLeaderboard = (previousRows, rows) => {
+  const previousById = new Map(previousRows.map((row) => [row.playerId, row]));
+  const changed = rows.filter((row) => {
+    const previous = previousById.get(row.playerId);
+    return !previous || ROW_FIELDS.some((field) => previous[field] !== row[field]);
+  });
+
+  const currentIds = new Set(rows.map((row) => row.playerId));
+  const removed = previousRows
+    .map((row) => row.playerId)
+    .filter((playerId) => !currentIds.has(playerId));
+
+  return { changed, removed };
+};
+
+// Stores the current leaderboard under the next sequence number. Returns
+// null when nothing changed since the last broadcast.
+const nextLeaderboard = async (sessionId) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const previous = await broadcast.getSnapshot(sessionId);
+    const rows = await buildLeaderboardRows(sessionId);
+    const { changed, removed } = diffLeaderboard(previous?.rows || [], rows);
+    if (previous && !changed.length && !removed.length) return null;
+
+    const previousSeq = previous?.seq || 0;
+    const seq = previousSeq + 1;
+    if (await broadcast.saveSnapshot(sessionId, previousSeq, { seq, rows })) {
+      return { seq, rows, changed, removed, full: !previous || seq % FULL_SNAPSHOT_EVERY === 0 };
+    }
+  }
+  // Another instance kept getting there first, its broadcast covers this one
+  return null;
+};
+
+// Player leaderboard as a snapshot or diff, plus the team leaderboard in
+// team mode, to players and spectator screens alike. Clients apply a diff
+// only on top of seq - 1, otherwise they resync with getLeaderboard.
+const sendLeaderboard = async (io, sessionId) => {
+  const audiences = [io.to(sessionId), toSpectators(io, sessionId)];
+  const emit = (event, payload) => audiences.forEach((room) => room.emit(event, payload));
+
+  const update = await nextLeaderboard(sessionId);
+  if (update?.full) {
+    emit("leaderboardSnapshot", { sessionId, seq: update.seq, rows: update.rows });
+  } else if (update) {
+    emit("leaderboardDiff", {
+      sessionId,
+      seq: update.seq,
+      changed: update.changed,
+      removed: update.removed,
+      total: update.rows.length,
+    });
+  }
+
+  const session = await Session.findOne({ sessionId }).select("sessionId teams teamMode");
+  const teams = session && (await buildTeamLeaderboard(session));
+  if (teams) {
+    emit("updateTeamLeaderboard", teams);
+  }
+};
+
+// The last broadcast leaderboard, for clients joining late or resyncing
+export const getLeaderboardSnapshot = async (sessionId) => {
+  const snapshot = await broadcast.getSnapshot(sessionId);
+  if (snapshot) return { sessionId, ...snapshot };
+
+  return { sessionId, seq: 0, rows: await buildLeaderboardRows(sessionId) };
+};
+
+export const emitLeaderboardUpdate = async (io, sessionId) => {
+  try {
+    const delay = await broadcast.claimBroadcast(sessionId, THROTTLE_INTERVAL);
+    if (delay === 0) {
+      await sendLeaderboard(io, sessionId);
+      return;
+    }
+    // Already scheduled, here or on another instance
+    if (delay === null || pendingSends.has(sessionId)) return;
+
+    pendingSends.set(
+      sessionId,
+      setTimeout(async () => {
+        pendingSends.delete(sessionId);
+        try {
+          await broadcast.finishBroadcast(sessionId);
+          await sendLeaderboard(io, sessionId);
+        } catch (error) {
+          console.error(`Error sending leaderboard for session ${sessionId}:`, error);
+        }
+      }, delay)
+    );
+  } catch (error) {
+    console.error(`Error updating leaderboard for session ${sessionId}:`, error);
+  }
+};
+
+// Drops pending sends and stored state once a session ended or was purged.
+// A reopened session starts over with a full snapshot.
+export const clearLeaderboard = async (sessionId) => {
+  clearTimeout(pendingSends.get(sessionId));
+  pendingSends.delete(sessionId);
+  await broadcast.clear(sessionId);
+};
@@ -0,0 +1,476 @@
+import crypto from "crypto";
+import { safeEqual } from "../middleware/auth.js";
+import { MatchConfirmation, Player, ScoreEvent, Session } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+import { releaseAssignment } from "./assignments.js";
+import { emitLeaderboardUpdate } from "./leaderboard.js";
+import { playerActor, recordScoreEvents } from "./scoreLedger.js";
+import {
+  claimFirstToFindBonuses,
+  getScoring,
+  increment,
+  scoreAfter,
+  scoreUpdate,
+  speedBonusFor,
+  streakBonusFor,
+} from "./scoring.js";
+import { assertSessionStatus, assertTimeRemaining } from "./sessionState.js";
+import { publishMatch, publishMatchRevoked } from "./spectators.js";
+import { dispatchWebhookEvent, playerSummary } from "./webhooks.js";
+import { assertTeamMatchAllowed, teamMultiplierFor } from "./teams.js";
+
+const MAX_FAILED_ATTEMPTS = 3;
+const FAILED_ATTEMPTS_LOCK = 30 * 1000; // 30 seconds
+const CONFIRMATION_TTL = 2 * 60 * 1000; // 2 minutes
+
+export const playerRoom = (playerId) => `player:${playerId}`;
+
+// Short numeric code shown on the player's own screen, read out to finders
+export const generateConfirmCode = () =>
+  String(crypto.randomInt(0, 10000)).padStart(4, "0");
+
+// Rejects finders locked out after too many failed confirmations
+export const assertNotLocked = (finder) => {
+  if (finder.codeLockedUntil && finder.codeLockedUntil > new Date()) {
+    throw new HttpError(429, "Too many failed attempts, try again later", "TOO_MANY_ATTEMPTS", {
+      retryAfter: Math.ceil((finder.codeLockedUntil - Date.now()) / 1000),
+    });
+  }
+};
+
+// Applies the session's wrong match penalty (floored at minScore) and breaks
+// the finder's streak. Returns the finder as it was before the update and the
+// points actually applied.
+const applyWrongMatch = async (session, finderId, { reason } = {}) => {
+  const scoring = getScoring(session);
+  const before = await Player.findByIdAndUpdate(
+    finderId,
+    scoreUpdate(scoring, scoring.wrongMatchPoints, {
+      wrongGuesses: increment("wrongGuesses"),
+      currentStreak: 0,
+    }),
+    { new: false }
+  );
+
+  const score = before.score || 0;
+  const newScore = scoreAfter(scoring, score, scoring.wrongMatchPoints);
+
+  await recordScoreEvents({
+    sessionId: session.sessionId,
+    playerId: finderId,
+    type: "wrong_match",
+    delta: newScore - score,
+    actor: playerActor(finderId),
+    reason,
+  });
+
+  return { before, points: newScore - score };
+};
+
+export const recordWrongMatch = async (io, session, finderId) => {
+  const { points } = await applyWrongMatch(session, finderId);
+
+  emitLeaderboardUpdate(io, session.sessionId);
+  return { finder: points };
+};
+
+// Counts a failed attempt, the one reaching MAX_FAILED_ATTEMPTS locks the
+// finder out for a while. Returns the attempts left, or null when `filter`
+// didn't match.
+const countFailedAttempt = async (finderId, filter = {}) => {
+  const attempts = increment("failedCodeAttempts");
+  const locks = { $gte: [attempts, MAX_FAILED_ATTEMPTS] };
+  const before = await Player.findOneAndUpdate(
+    { _id: finderId, ...filter },
+    [
+      {
+        $set: {
+          failedCodeAttempts: { $cond: [locks, 0, attempts] },
+          codeLockedUntil: {
+            $cond: [locks, new Date(Date.now() + FAILED_ATTEMPTS_LOCK), "$codeLockedUntil"],
+          },
+        },
+      },
+    ],
+    { new: false }
+  );
+  if (!before) return null;
+  return Math.max(MAX_FAILED_ATTEMPTS - ((before.failedCodeAttempts || 0) + 1), 0);
+};
+
+// Takes an attempt before the code is compared, so concurrent requests can't
+// all get past the lock before it is written. A correct code resets the
+// count in recordMatch.
+const claimCodeAttempt = async (finderId) => {
+  const attemptsRemaining = await countFailedAttempt(finderId, {
+    $or: [{ codeLockedUntil: null }, { codeLockedUntil: { $lte: new Date() } }],
+  });
+  if (attemptsRemaining === null) {
+    assertNotLocked((await Player.findById(finderId).select("codeLockedUntil")) || {});
+    throw new HttpError(429, "Too many failed attempts, try again later", "TOO_MANY_ATTEMPTS");
+  }
+  return attemptsRemaining;
+};
+
+// A failed confirmation counts as a wrong match, and too many in a row lock
+// the finder out for a while
+export const recordFailedAttempt = async (io, session, finderId) => {
+  await applyWrongMatch(session, finderId, { reason: "Failed match confirmation" });
+  const attemptsRemaining = await countFailedAttempt(finderId);
+
+  emitLeaderboardUpdate(io, session.sessionId);
+  return attemptsRemaining ?? 0;
+};
+
+export const recordMatch = async (io, { session, finderId, foundPlayer, selfieUrl }) => {
+  const { sessionId } = session;
+  const scoring = getScoring(session);
+  const foundPlayerId = foundPlayer._id;
+  const matchTime = new Date();
+  const speedBonus = speedBonusFor(scoring, session.startedAt, matchTime);
+
+  // Same-team matches may be worth less in team mode
+  const finder = await Player.findById(finderId).select("teamId");
+  const multiplier = finder ? teamMultiplierFor(session, finder, foundPlayer) : 1;
+  const basePoints = Math.round(scoring.finderPoints * multiplier);
+  const foundPoints = Math.round(scoring.foundPoints * multiplier);
+
+  // Atomic update: Only update if the match doesn't already exist
+  const finderPlayer = await Player.findOneAndUpdate(
+    {
+      _id: finderId,
+      "matches.playerId": { $ne: foundPlayerId }, // Condition: Match must not exist
+    },
+    {
+      $inc: {
+        score: basePoints + speedBonus,
+        peopleKnown: 1,
+        currentStreak: 1,
+      },
+      $push: {
+        matches: {
+          playerId: foundPlayerId,
+          matchedAt: matchTime,
+          selfieUrl,
+          playerName: foundPlayer.name,
+        },
+      },
+      lastMatchAt: matchTime,
+      failedCodeAttempts: 0,
+    },
+    { new: true }
+  );
+
+  if (!finderPlayer) {
+    // If no document returned, it means the match already exists (race condition handled)
+    console.log("Match already exists or player not found. Skipping update.");
+    throw new HttpError(400, "Match already recorded", "ALREADY_MATCHED");
+  }
+
+  const matchCount = (finderPlayer.matches || []).length;
+
+  // Frees the found player's slot if they were the finder's current target
+  await releaseAssignment(finderId, foundPlayerId);
+
+  // Bonuses depend on the updated streak and match count
+  const streakBonus = streakBonusFor(scoring, finderPlayer.currentStreak);
+  const firstToFindBonus = await claimFirstToFindBonuses(
+    sessionId,
+    scoring,
+    finderId,
+    matchCount
+  );
+  if (streakBonus + firstToFindBonus > 0) {
+    await Player.findByIdAndUpdate(finderId, {
+      $inc: { score: streakBonus + firstToFindBonus },
+    });
+  }
+
+  // Update found player's counter
+  await Player.findByIdAndUpdate(foundPlayerId, {
+    $inc: { peopleWhoKnowYou: 1, score: foundPoints },
+  });
+
+  const breakdown = {
+    base: basePoints,
+    speedBonus,
+    streakBonus,
+    firstToFindBonus,
+    ...(multiplier !== 1 && { sameTeamMultiplier: multiplier }),
+  };
+  const finderPoints = basePoints + speedBonus + streakBonus + firstToFindBonus;
+  await recordScoreEvents(
+    {
+      sessionId,
+      playerId: finderId,
+      type: "match",
+      delta: finderPoints,
+      actor: playerActor(finderId),
+      relatedPlayers: [foundPlayerId],
+      breakdown,
+    },
+    {
+      sessionId,
+      playerId: foundPlayerId,
+      type: "found",
+      delta: foundPoints,
+      actor: playerActor(finderId),
+      relatedPlayers: [finderId],
+    }
+  );
+
+  // Check if finder completed all matches
+  const totalOtherPlayers = await Player.countDocuments({
+    sessionId,
+    _id: { $ne: finderId },
+    profile: { $exists: true, $ne: null },
+  });
+
+  // If this player just completed all matches, record completion time
+  const justCompleted = matchCount >= totalOtherPlayers && !finderPlayer.completedAt;
+  if (justCompleted) {
+    await Player.findByIdAndUpdate(finderId, {
+      completedAt: matchTime,
+      isCompleted: true,
+    });
+
+    console.log(
+      `🎉 Player ${finderPlayer.name} completed all matches at ${matchTime}`
+    );
+  }
+
+  emitLeaderboardUpdate(io, sessionId);
+  publishMatch(io, {
+    sessionId,
+    finder: finderPlayer,
+    match: finderPlayer.matches.find((m) => String(m.playerId) === String(foundPlayerId)),
+    completedAt: justCompleted ? matchTime : null,
+  });
+  dispatchWebhookEvent(sessionId, "matchConfirmed", {
+    finder: playerSummary(finderPlayer),
+    found: playerSummary(foundPlayer),
+    matchedAt: matchTime,
+    points: { finder: finderPoints, found: foundPoints },
+  });
+  if (justCompleted) {
+    dispatchWebhookEvent(sessionId, "playerCompleted", {
+      player: playerSummary(finderPlayer),
+      completedAt: matchTime,
+      totalMatches: matchCount,
+    });
+  }
+
+  return {
+    message: "Match confirmed successfully",
+    isCompleted: matchCount >= totalOtherPlayers,
+    totalMatches: matchCount,
+    totalRequired: totalOtherPlayers,
+    points: {
+      finder: finderPoints,
+      found: foundPoints,
+      breakdown,
+    },
+  };
+};
+
+// Code mode: the finder types in the code shown on the found player's screen
+export const confirmMatchWithCode = async (io, { session, finder, foundPlayer, code, selfieUrl }) => {
+  assertNotLocked(finder);
+  assertTeamMatchAllowed(session, finder, foundPlayer);
+
+  if ((finder.matches || []).some((m) => String(m.playerId) === String(foundPlayer._id))) {
+    throw new HttpError(400, "Match already recorded", "ALREADY_MATCHED");
+  }
+
+  const attemptsRemaining = await claimCodeAttempt(finder._id);
+  if (!code || !safeEqual(code, foundPlayer.confirmCode)) {
+    await applyWrongMatch(session, finder._id, { reason: "Failed match confirmation" });
+    emitLeaderboardUpdate(io, session.sessionId);
+    throw new HttpError(400, "Invalid confirmation code", "INVALID_CODE", {
+      attemptsRemaining,
+    });
+  }
+
+  return recordMatch(io, { session, finderId: finder._id, foundPlayer, selfieUrl });
+};
+
+// Handshake mode: the found player is asked to confirm on their own device
+export const requestMatchConfirmation = async (io, { session, finder, foundPlayer, selfieUrl }) => {
+  assertNotLocked(finder);
+  assertTeamMatchAllowed(session, finder, foundPlayer);
+
+  if ((finder.matches || []).some((m) => String(m.playerId) === String(foundPlayer._id))) {
+    throw new HttpError(400, "Match already recorded", "ALREADY_MATCHED");
+  }
+
+  // Only one pending request per pair, a new one replaces the old one
+  await MatchConfirmation.deleteMany({
+    finderId: finder._id,
+    foundPlayerId: foundPlayer._id,
+    status: "pending",
+  });
+
+  const confirmation = await MatchConfirmation.create({
+    sessionId: session.sessionId,
+    finderId: finder._id,
+    foundPlayerId: foundPlayer._id,
+    selfieUrl,
+    expiresAt: new Date(Date.now() + CONFIRMATION_TTL),
+  });
+
+  io.to(playerRoom(foundPlayer._id)).emit("matchConfirmationRequested", {
+    confirmationId: confirmation._id,
+    finderId: finder._id,
+    finderName: finder.name,
+    expiresAt: confirmation.expiresAt,
+  });
+
+  return confirmation;
+};
+
+// Called when the found player answers a confirmation request
+export const resolveMatchConfirmation = async (io, { player, confirmationId, accept }) => {
+  const session = await Session.findOne({ sessionId: player.sessionId });
+  if (!session) {
+    throw new HttpError(404, "Session not found", "SESSION_NOT_FOUND");
+  }
+  assertSessionStatus(session, ["playing"]);
+  assertTimeRemaining(session);
+
+  const confirmation = await MatchConfirmation.findOneAndUpdate(
+    {
+      _id: confirmationId,
+      foundPlayerId: player._id,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    },
+    { status: accept ? "confirmed" : "rejected" },
+    { new: true }
+  );
+
+  if (!confirmation) {
+    throw new HttpError(404, "Confirmation request not found or expired", "CONFIRMATION_NOT_FOUND");
+  }
+
+  const { finderId, selfieUrl } = confirmation;
+
+  if (!accept) {
+    const attemptsRemaining = await recordFailedAttempt(io, session, finderId);
+    io.to(playerRoom(finderId)).emit("matchRejected", {
+      confirmationId,
+      foundPlayerId: player._id,
+      attemptsRemaining,
+    });
+    return { status: "rejected" };
+  }
+
+  const result = await recordMatch(io, { session, finderId, foundPlayer: player, selfieUrl });
+  io.to(playerRoom(finderId)).emit("matchConfirmed", {
+    confirmationId,
+    foundPlayerId: player._id,
+    ...result,
+  });
+  return { status: "confirmed", ...result };
+};
+
+// Undoes a match: removes it from the finder, takes back the points both
+// players got for it, reverses the counters and clears the finder's
+// completion. The original ledger events are marked revoked and balanced by
+// "revocation" events.
+export const revokeMatch = async (io, { session, finderId, foundPlayerId, actor, reason }) => {
+  const { sessionId } = session;
+  const finder = await Player.findOneAndUpdate(
+    { _id: finderId, sessionId, "matches.playerId": foundPlayerId },
+    { $pull: { matches: { playerId: foundPlayerId } } },
+    { new: true }
+  );
+  if (!finder) {
+    throw new HttpError(404, "Match not found", "MATCH_NOT_FOUND");
+  }
+
+  const matchEvents = await ScoreEvent.find({
+    sessionId,
+    revokedAt: null,
+    $or: [
+      { playerId: finderId, type: "match", relatedPlayers: foundPlayerId },
+      { playerId: foundPlayerId, type: "found", relatedPlayers: finderId },
+    ],
+  });
+
+  // Matches made before the ledger existed fall back to the base points
+  const scoring = getScoring(session);
+  const pointsFor = (playerId, type, fallback) => {
+    const events = matchEvents.filter(
+      (event) => event.type === type && String(event.playerId) === String(playerId)
+    );
+    return events.length > 0
+      ? events.reduce((total, event) => total + event.delta, 0)
+      : fallback;
+  };
+  const finderPoints = pointsFor(finderId, "match", scoring.finderPoints);
+  const foundPoints = pointsFor(foundPlayerId, "found", scoring.foundPoints);
+
+  const lastMatchAt = finder.matches.reduce(
+    (latest, match) => (!latest || match.timestamp > latest ? match.timestamp : latest),
+    null
+  );
+  // Taking points back respects the score floor like awarding them does
+  const finderBefore = await Player.findByIdAndUpdate(
+    finderId,
+    scoreUpdate(scoring, -finderPoints, {
+      peopleKnown: increment("peopleKnown", -1),
+      isCompleted: false,
+      lastMatchAt,
+      completedAt: "$$REMOVE",
+    }),
+    { new: false }
+  );
+  const foundBefore = await Player.findOneAndUpdate(
+    { _id: foundPlayerId, sessionId },
+    scoreUpdate(scoring, -foundPoints, {
+      peopleWhoKnowYou: increment("peopleWhoKnowYou", -1),
+    }),
+    { new: false }
+  );
+  const appliedDelta = (before, points) =>
+    before ? scoreAfter(scoring, before.score, -points) - (before.score || 0) : 0;
+  const finderDelta = appliedDelta(finderBefore, finderPoints);
+  const foundDelta = appliedDelta(foundBefore, foundPoints);
+
+  const revokedAt = new Date();
+  await ScoreEvent.updateMany(
+    { _id: { $in: matchEvents.map((event) => event._id) } },
+    { revokedAt }
+  );
+  await recordScoreEvents(
+    {
+      sessionId,
+      playerId: finderId,
+      type: "revocation",
+      delta: finderDelta,
+      actor,
+      reason,
+      relatedPlayers: [foundPlayerId],
+    },
+    {
+      sessionId,
+      playerId: foundPlayerId,
+      type: "revocation",
+      delta: foundDelta,
+      actor,
+      reason,
+      relatedPlayers: [finderId],
+    }
+  );
+
+  const revoked = { finderId, foundPlayerId, reason, revokedAt };
+  io.to(playerRoom(finderId)).emit("matchRevoked", revoked);
+  io.to(playerRoom(foundPlayerId)).emit("matchRevoked", revoked);
+  emitLeaderboardUpdate(io, sessionId);
+  publishMatchRevoked(io, sessionId, revoked);
+
+  return {
+    ...revoked,
+    points: { finder: finderDelta, found: foundDelta },
+  };
+};
@@ -0,0 +1,267 @@
+/* global process */
+
+import { MatchConfirmation, Player, Session } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+import { releaseAssignment } from "./assignments.js";
+import { emitLeaderboardUpdate } from "./leaderboard.js";
+import { playerRoom, revokeMatch } from "./matches.js";
+import { resolvePlayerName } from "./players.js";
+import { publishPlayerRemoved, toSpectators } from "./spectators.js";
+
+const MAX_BLOCKED_WORDS = 500;
+const MAX_WORD_LENGTH = 50;
+const MAX_DEVICE_ID_LENGTH = 100;
+
+// Lowercase without accents, so "Fück" is caught by "fuck"
+const fold = (text) =>
+  String(text).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const normalizeBlockedWords = (input) => {
+  if (!Array.isArray(input) || input.length > MAX_BLOCKED_WORDS) {
+    throw new HttpError(
+      400,
+      `Blocked words must be a list of up to ${MAX_BLOCKED_WORDS} words`,
+      "INVALID_BLOCKED_WORDS"
+    );
+  }
+  const words = input.map((word) => (typeof word === "string" ? fold(word.trim()) : ""));
+  if (words.some((word) => !word || word.length > MAX_WORD_LENGTH)) {
+    throw new HttpError(
+      400,
+      `Blocked words must be 1 to ${MAX_WORD_LENGTH} characters`,
+      "INVALID_BLOCKED_WORDS"
+    );
+  }
+  return [...new Set(words)];
+};
+
+// The session's list plus the server wide BLOCKED_WORDS (comma separated).
+// The session must be loaded with +blockedWords.
+export const getBlockedWords = (session) => [
+  ...new Set([
+    ...(process.env.BLOCKED_WORDS || "")
+      .split(",")
+      .map((word) => fold(word.trim()))
+      .filter(Boolean),
+    ...(session.blockedWords || []),
+  ]),
+];
+
+// Whole word matches only, so "class" isn't caught by "ass"
+export const containsBlockedWord = (text, words) => {
+  if (typeof text !== "string" || words.length === 0) return false;
+  const folded = fold(text);
+  return words.some((word) =>
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, "u").test(folded)
+  );
+};
+
+export const assertNameAllowed = (session, name) => {
+  if (containsBlockedWord(name, getBlockedWords(session))) {
+    throw new HttpError(400, "Name contains blocked words", "BLOCKED_WORDS");
+  }
+};
+
+// Same error shape as validateProfile, naming every offending answer
+export const assertProfileAllowed = (session, profile) => {
+  const words = getBlockedWords(session);
+  const fields = {};
+  for (const [field, answer] of Object.entries(profile)) {
+    const texts = Array.isArray(answer) ? answer : [answer];
+    if (texts.some((text) => containsBlockedWord(text, words))) {
+      fields[field] = "Answer contains blocked words";
+    }
+  }
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, "Invalid profile", "INVALID_PROFILE", { fields });
+  }
+};
+
+export const normalizeDeviceId = (deviceId) =>
+  typeof deviceId === "string" && deviceId.trim() && deviceId.length <= MAX_DEVICE_ID_LENGTH
+    ? deviceId.trim()
+    : undefined;
+
+// Refuses banned names and devices. The session must be loaded with +bans.
+export const assertNotBanned = (session, { name, deviceId }) => {
+  const foldedName = typeof name === "string" ? fold(name.trim().replace(/\s+/g, " ")) : null;
+  const banned = (session.bans || []).some(
+    (ban) => (ban.name && ban.name === foldedName) || (ban.deviceId && ban.deviceId === deviceId)
+  );
+  if (banned) {
+    throw new HttpError(403, "You can't join this session", "BANNED");
+  }
+};
+
+export const addBan = async (sessionId, { name, deviceId, reason }) => {
+  const ban = {
+    name: name ? fold(name.trim().replace(/\s+/g, " ")) : undefined,
+    deviceId: normalizeDeviceId(deviceId),
+    reason,
+  };
+  if (!ban.name && !ban.deviceId) {
+    throw new HttpError(400, "A ban needs a name or a device", "INVALID_BAN");
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { sessionId },
+    { $push: { bans: ban } },
+    { new: true }
+  ).select("+bans");
+  if (!session) {
+    throw new HttpError(404, "Session not found", "SESSION_NOT_FOUND");
+  }
+  return session.bans[session.bans.length - 1];
+};
+
+// Marks players complete who no longer miss anyone, e.g. after the only
+// player they hadn't found was removed
+const refreshCompletions = async (sessionId) => {
+  const withProfile = await Player.countDocuments({
+    sessionId,
+    profile: { $exists: true, $ne: null },
+  });
+  const pending = await Player.find({ sessionId, isCompleted: { $ne: true } });
+
+  for (const player of pending) {
+    const required = withProfile - (player.profile ? 1 : 0);
+    if (required > 0 && (player.matches || []).length >= required) {
+      await Player.updateOne(
+        { _id: player._id },
+        { isCompleted: true, completedAt: player.lastMatchAt || new Date() }
+      );
+    }
+  }
+};
+
+// Removes a player from a session: revokes every match they are part of so
+// everyone's points and counters are corrected, frees assignments, optionally
+// bans their name and device, and tells their devices they were kicked
+// unless notify is false.
+export const removePlayer = async (io, { session, playerId, actor, reason, ban, notify = true }) => {
+  const { sessionId } = session;
+  const player = await Player.findOne({ _id: playerId, sessionId }).select("+deviceId");
+  if (!player) {
+    throw new HttpError(404, "Player not found", "PLAYER_NOT_FOUND");
+  }
+
+  const revokeReason = reason ? `Player removed: ${reason}` : "Player removed";
+  const finders = await Player.find({ sessionId, "matches.playerId": player._id }).select("_id");
+  for (const finder of finders) {
+    await revokeMatch(io, {
+      session,
+      finderId: finder._id,
+      foundPlayerId: player._id,
+      actor,
+      reason: revokeReason,
+    });
+  }
+  for (const match of player.matches || []) {
+    await revokeMatch(io, {
+      session,
+      finderId: player._id,
+      foundPlayerId: match.playerId,
+      actor,
+      reason: revokeReason,
+    });
+  }
+
+  if (player.currentAssignment?.playerId) {
+    await releaseAssignment(player._id, player.currentAssignment.playerId);
+  }
+  await Player.updateMany(
+    { sessionId, "currentAssignment.playerId": player._id },
+    { $unset: { currentAssignment: "" } }
+  );
+  await MatchConfirmation.deleteMany({
+    $or: [{ finderId: player._id }, { foundPlayerId: player._id }],
+  });
+
+  await Player.deleteOne({ _id: player._id });
+  await Session.updateOne(
+    { sessionId, playerCount: { $gt: 0 } },
+    { $inc: { playerCount: -1 } }
+  );
+  if (ban) {
+    await addBan(sessionId, { name: player.name, deviceId: player.deviceId, reason });
+  }
+  await refreshCompletions(sessionId);
+
+  const room = playerRoom(player._id);
+  if (notify) {
+    io.to(room).emit("playerKicked", { sessionId, reason: reason || null, banned: !!ban });
+  }
+  io.in(room).socketsLeave([sessionId, room]);
+  io.to(sessionId).emit("playerRemoved", { playerId: player._id });
+  emitLeaderboardUpdate(io, sessionId);
+  publishPlayerRemoved(io, sessionId, player._id);
+
+  return { playerId: player._id, name: player.name, banned: !!ban };
+};
+
+// Host rename. Runs the usual name checks and updates the name stored in
+// other players' matches.
+export const renamePlayer = async (io, { session, playerId, name: rawName }) => {
+  const player = await Player.findOne({ _id: playerId, sessionId: session.sessionId });
+  if (!player) {
+    throw new HttpError(404, "Player not found", "PLAYER_NOT_FOUND");
+  }
+
+  const trimmed = typeof rawName === "string" ? rawName.trim().replace(/\s+/g, " ") : "";
+  // Changing only the case of your own name isn't a duplicate
+  const name =
+    trimmed && fold(trimmed) === fold(player.name)
+      ? trimmed
+      : await resolvePlayerName(session, rawName);
+  assertNameAllowed(session, name);
+
+  const updated = await Player.findByIdAndUpdate(playerId, { name }, { new: true });
+  await Player.updateMany(
+    { sessionId: session.sessionId, "matches.playerId": player._id },
+    { $set: { "matches.$[match].playerName": name } },
+    { arrayFilters: [{ "match.playerId": player._id }] }
+  );
+
+  io.to(session.sessionId).emit("playerRenamed", { playerId: player._id, name });
+  toSpectators(io, session.sessionId).emit("playerRenamed", { playerId: player._id, name });
+  emitLeaderboardUpdate(io, session.sessionId);
+  return updated;
+};
+
+// Hides some of a player's profile answers from other players and exports
+export const setHiddenFields = async (session, playerId, fields) => {
+  if (!Array.isArray(fields) || fields.some((field) => typeof field !== "string")) {
+    throw new HttpError(400, "fields must be a list of question fields", "INVALID_FIELDS");
+  }
+  const unknown = fields.filter(
+    (field) => !session.questions.some((question) => question.field === field)
+  );
+  if (unknown.length > 0) {
+    throw new HttpError(400, "Unknown question fields", "INVALID_FIELDS", { fields: unknown });
+  }
+
+  const player = await Player.findOneAndUpdate(
+    { _id: playerId, sessionId: session.sessionId },
+    { hiddenFields: [...new Set(fields)] },
+    { new: true }
+  );
+  if (!player) {
+    throw new HttpError(404, "Player not found", "PLAYER_NOT_FOUND");
+  }
+  return player;
+};
+
+// Hides or shows the selfie of one match
+export const setSelfieHidden = async (session, finderId, foundPlayerId, hidden) => {
+  const player = await Player.findOneAndUpdate(
+    { _id: finderId, sessionId: session.sessionId, "matches.playerId": foundPlayerId },
+    { $set: { "matches.$.hidden": !!hidden } },
+    { new: true }
+  );
+  if (!player) {
+    throw new HttpError(404, "Match not found", "MATCH_NOT_FOUND");
+  }
+  return player;
+};
@@ -0,0 +1,82 @@
+import { Player } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+import { timerState } from "./timer.js";
+
+const MAX_NAME_LENGTH = 50;
+const NAME_COLLATION = { locale: "en", strength: 2 }; // case-insensitive
+
+const nameTaken = (sessionId, name) =>
+  Player.exists({ sessionId, name }).collation(NAME_COLLATION);
+
+// Validates a display name and applies the session's duplicate name policy:
+// "reject" refuses the join, "rename" adds a number, "allow" keeps duplicates
+export const resolvePlayerName = async (session, rawName) => {
+  const name = typeof rawName === "string" ? rawName.trim().replace(/\s+/g, " ") : "";
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, `Name must be 1 to ${MAX_NAME_LENGTH} characters`, "INVALID_NAME");
+  }
+
+  const policy = session.duplicateNamePolicy || "reject";
+  if (policy === "allow" || !(await nameTaken(session.sessionId, name))) {
+    return name;
+  }
+
+  if (policy === "reject") {
+    throw new HttpError(
+      409,
+      "A player with this name already joined, use your recovery code to resume",
+      "NAME_TAKEN"
+    );
+  }
+
+  for (let n = 2; n <= session.maxPlayers + 1; n++) {
+    const candidate = `${name} ${n}`;
+    if (!(await nameTaken(session.sessionId, candidate))) return candidate;
+  }
+  throw new HttpError(409, "Could not find a free name", "NAME_TAKEN");
+};
+
+// Profile answers minus the ones a host hid
+export const visibleProfile = (player) => {
+  if (!player.profile || !player.hiddenFields?.length) return player.profile;
+  return Object.fromEntries(
+    Object.entries(player.profile).filter(([field]) => !player.hiddenFields.includes(field))
+  );
+};
+
+// Everything a client needs to rebuild a player's screen after a refresh
+export const buildPlayerState = async (player, session) => {
+  const self = await Player.findById(player._id).select("+confirmCode");
+
+  let currentTarget = null;
+  const targetId = self.currentAssignment?.playerId;
+  const alreadyMatched = (self.matches || []).some(
+    (m) => String(m.playerId) === String(targetId)
+  );
+  if (targetId && !alreadyMatched) {
+    const target = await Player.findOne({ _id: targetId, sessionId: self.sessionId });
+    if (target) {
+      currentTarget = {
+        profile: visibleProfile(target),
+        playerId: target._id,
+        playerName: target.name,
+        assignedAt: self.currentAssignment.assignedAt,
+      };
+    }
+  }
+
+  return {
+    player: self.toJSON(),
+    confirmCode: self.confirmCode || null,
+    currentTarget,
+    session: {
+      sessionId: session.sessionId,
+      name: session.name,
+      status: session.status,
+      questions: session.questions,
+      matchVerification: session.matchVerification,
+      teams: session.teams,
+      timer: timerState(session),
+    },
+  };
+};
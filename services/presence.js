@@ -0,0 +1,120 @@
+/* global process */
+
+import { Player } from "../models/index.js";
+
+const DEFAULT_GRACE_PERIOD = 30 * 1000; // 30 seconds
+const HEARTBEAT_INTERVAL = 60 * 1000;
+// Connected players no instance has vouched for in this long are stale,
+// e.g. their sockets lived on an instance that restarted or crashed
+const STALE_AFTER = 3 * HEARTBEAT_INTERVAL;
+
+// playerId -> Set of socket ids, and pending "mark disconnected" timers
+const playerSockets = new Map();
+const graceTimers = new Map();
+
+const emitPresence = (io, player, status) => {
+  io.to(player.sessionId).emit("presenceChanged", {
+    playerId: player._id,
+    status,
+    at: new Date(),
+  });
+};
+
+// Links a socket to an authenticated player and marks them connected again
+export const attachPlayer = async (io, socket, player) => {
+  const playerId = String(player._id);
+  socket.data.playerId = playerId;
+  socket.data.sessionId = player.sessionId;
+
+  if (!playerSockets.has(playerId)) playerSockets.set(playerId, new Set());
+  playerSockets.get(playerId).add(socket.id);
+
+  clearTimeout(graceTimers.get(playerId));
+  graceTimers.delete(playerId);
+
+  const previous = await Player.findByIdAndUpdate(playerId, {
+    status: "connected",
+    lastSeenAt: new Date(),
+    disconnectedAt: null,
+  });
+  if (previous?.status === "disconnected") {
+    emitPresence(io, player, "connected");
+  }
+};
+
+// Called on socket disconnect. The player is only marked disconnected once
+// their last socket has been gone for the whole grace period, so refreshes
+// and flaky connections don't flicker.
+export const detachSocket = (io, socket) => {
+  const { playerId } = socket.data;
+  if (!playerId) return;
+
+  const sockets = playerSockets.get(playerId);
+  sockets?.delete(socket.id);
+  if (sockets?.size) return;
+  playerSockets.delete(playerId);
+
+  const gracePeriod = parseInt(process.env.PRESENCE_GRACE_MS) || DEFAULT_GRACE_PERIOD;
+  clearTimeout(graceTimers.get(playerId));
+  graceTimers.set(
+    playerId,
+    setTimeout(async () => {
+      graceTimers.delete(playerId);
+      if (playerSockets.has(playerId)) return;
+
+      try {
+        const now = new Date();
+        const player = await Player.findOneAndUpdate(
+          { _id: playerId, status: "connected" },
+          { status: "disconnected", disconnectedAt: now, lastSeenAt: now },
+          { new: true }
+        );
+        if (player) emitPresence(io, player, "disconnected");
+      } catch (error) {
+        console.error("Error marking player disconnected:", error);
+      }
+    }, gracePeriod)
+  );
+};
+
+// Query filter excluding players offline for longer than `minutes`
+export const notOfflineFor = (minutes) => ({
+  $or: [
+    { status: { $ne: "disconnected" } },
+    { disconnectedAt: { $gt: new Date(Date.now() - minutes * 60 * 1000) } },
+  ],
+});
+
+// Refreshes lastSeenAt for the players with a socket on this instance, then
+// marks connected players nobody refreshed as disconnected since they were
+// last seen
+const sweepPresence = async (io) => {
+  const now = new Date();
+  if (playerSockets.size > 0) {
+    await Player.updateMany({ _id: { $in: [...playerSockets.keys()] } }, { lastSeenAt: now });
+  }
+
+  const cutoff = new Date(now - STALE_AFTER);
+  const stale = await Player.find({
+    status: "connected",
+    $or: [{ lastSeenAt: { $lt: cutoff } }, { lastSeenAt: null, createdAt: { $lt: cutoff } }],
+  }).select("_id sessionId lastSeenAt createdAt");
+
+  for (const player of stale) {
+    const updated = await Player.findOneAndUpdate(
+      { _id: player._id, status: "connected", lastSeenAt: player.lastSeenAt },
+      { status: "disconnected", disconnectedAt: player.lastSeenAt || player.createdAt },
+      { new: true }
+    );
+    if (updated) emitPresence(io, updated, "disconnected");
+  }
+};
+
+// Also runs right away, so players left "connected" by a previous run are
+// cleaned up once they are stale
+export const startPresenceSweep = (io) => {
+  const sweep = () =>
+    sweepPresence(io).catch((error) => console.error("Error in presence sweep:", error));
+  sweep();
+  setInterval(sweep, HEARTBEAT_INTERVAL).unref();
+};
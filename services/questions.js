@@ -0,0 +1,220 @@
+import { HttpError } from "../utils/errors.js";
+
+export const QUESTION_TYPES = ["text", "single_choice", "multiple_choice", "photo"];
+const CHOICE_TYPES = ["single_choice", "multiple_choice"];
+
+const MAX_QUESTIONS = 20;
+const MAX_TITLE_LENGTH = 200;
+const MAX_OPTIONS = 20;
+const MAX_OPTION_LENGTH = 100;
+const FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+
+export const DEFAULT_QUESTIONS = [
+  { title: "What's your favorite food?", field: "favoriteFood" },
+  { title: "What's your hobby?", field: "hobby" },
+  { title: "What's your favorite color?", field: "favoriteColor" },
+  { title: "Who's your favorite artist?", field: "favoriteArtist" },
+  { title: "Who's your idol?", field: "idol" },
+].map((question) => ({ ...question, type: "text", required: true, options: [] }));
+
+// Same derivation as the original 5-string customQuestions, so existing
+// clients keep getting the same field keys
+const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]/gi, "") || "question";
+
+// Validates a question list from the request body. Plain strings are free
+// text, required questions. Throws a 400 listing every problem found.
+export const normalizeQuestions = (input) => {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_QUESTIONS) {
+    throw new HttpError(
+      400,
+      `Questions must be a list of 1 to ${MAX_QUESTIONS} items`,
+      "INVALID_QUESTIONS"
+    );
+  }
+
+  const errors = [];
+  const questions = input.map((raw, index) => {
+    const question = typeof raw === "string" ? { title: raw } : raw;
+    if (!question || typeof question !== "object") {
+      errors.push({ index, error: "Question must be a string or an object" });
+      return null;
+    }
+
+    const title = typeof question.title === "string" ? question.title.trim() : "";
+    const type = question.type || "text";
+    const options = Array.isArray(question.options)
+      ? question.options.map((option) => (typeof option === "string" ? option.trim() : option))
+      : [];
+
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      errors.push({ index, error: `Title must be 1 to ${MAX_TITLE_LENGTH} characters` });
+    }
+    if (!QUESTION_TYPES.includes(type)) {
+      errors.push({ index, error: `Type must be one of ${QUESTION_TYPES.join(", ")}` });
+    }
+    if (question.required !== undefined && typeof question.required !== "boolean") {
+      errors.push({ index, error: "required must be a boolean" });
+    }
+    if (question.field !== undefined && !FIELD_PATTERN.test(question.field)) {
+      errors.push({ index, error: "field must be alphanumeric and start with a letter" });
+    }
+
+    if (CHOICE_TYPES.includes(type)) {
+      const valid = options.every(
+        (option) => typeof option === "string" && option && option.length <= MAX_OPTION_LENGTH
+      );
+      if (options.length < 2 || options.length > MAX_OPTIONS || !valid) {
+        errors.push({
+          index,
+          error: `Choice questions need 2 to ${MAX_OPTIONS} options of up to ${MAX_OPTION_LENGTH} characters`,
+        });
+      } else if (new Set(options).size !== options.length) {
+        errors.push({ index, error: "Options must be unique" });
+      }
+    } else if (options.length > 0) {
+      errors.push({ index, error: "Only choice questions can have options" });
+    }
+
+    return {
+      title,
+      field: question.field,
+      type,
+      required: question.required ?? true,
+      options: CHOICE_TYPES.includes(type) ? options : [],
+    };
+  });
+
+  // Explicit field keys must be unique, derived ones get a numeric suffix
+  const used = new Set();
+  questions.forEach((question, index) => {
+    if (question?.field) {
+      if (used.has(question.field)) {
+        errors.push({ index, error: `Duplicate field "${question.field}"` });
+      }
+      used.add(question.field);
+    }
+  });
+  questions.forEach((question) => {
+    if (!question || question.field) return;
+    const base = slugify(question.title);
+    let field = base;
+    for (let n = 2; used.has(field); n++) field = `${base}${n}`;
+    question.field = field;
+    used.add(field);
+  });
+
+  if (errors.length > 0) {
+    throw new HttpError(400, "Invalid questions", "INVALID_QUESTIONS", { errors });
+  }
+  return questions;
+};
+
+// Picks questions from a template, optionally only the given fields
+export const pickTemplateQuestions = (template, fields) => {
+  const questions = template.questions.map((question) => ({
+    title: question.title,
+    field: question.field,
+    type: question.type,
+    required: question.required,
+    options: question.options,
+  }));
+  if (fields === undefined) return questions;
+
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new HttpError(400, "templateFields must be a non-empty list", "INVALID_QUESTIONS");
+  }
+  const unknown = fields.filter((field) => !questions.some((q) => q.field === field));
+  if (unknown.length > 0) {
+    throw new HttpError(400, "Unknown template fields", "INVALID_QUESTIONS", { fields: unknown });
+  }
+  return questions.filter((question) => fields.includes(question.field));
+};
+
+const MAX_ANSWER_LENGTH = 500;
+const MAX_PHOTO_URL_LENGTH = 2048;
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+// Checks one answer against its question, returning [normalizedValue, error]
+const validateAnswer = (question, value) => {
+  switch (question.type || "text") {
+    case "text":
+      if (typeof value !== "string") return [null, "Answer must be text"];
+      if (value.trim().length > MAX_ANSWER_LENGTH) {
+        return [null, `Answer must be at most ${MAX_ANSWER_LENGTH} characters`];
+      }
+      return [value.trim().replace(/\s+/g, " "), null];
+
+    case "single_choice":
+      if (typeof value !== "string" || !question.options.includes(value.trim())) {
+        return [null, "Answer must be one of the options"];
+      }
+      return [value.trim(), null];
+
+    case "multiple_choice": {
+      if (!Array.isArray(value) || value.some((choice) => typeof choice !== "string")) {
+        return [null, "Answer must be a list of options"];
+      }
+      const choices = [...new Set(value.map((choice) => choice.trim()))];
+      if (choices.some((choice) => !question.options.includes(choice))) {
+        return [null, "Answer must only contain the options"];
+      }
+      return [choices, null];
+    }
+
+    case "photo":
+      if (
+        typeof value !== "string" ||
+        value.length > MAX_PHOTO_URL_LENGTH ||
+        !/^https?:\/\//.test(value.trim())
+      ) {
+        return [null, "Answer must be an uploaded photo URL"];
+      }
+      return [value.trim(), null];
+
+    default:
+      return [null, "Unsupported question type"];
+  }
+};
+
+// Validates a submitted profile against the session's questions. Returns
+// the trimmed profile with optional blanks dropped, or throws a 400 whose
+// `fields` maps each offending field to its error.
+export const validateProfile = (questions, profile) => {
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    throw new HttpError(400, "Profile must be an object", "INVALID_PROFILE");
+  }
+
+  const fields = {};
+  const normalized = {};
+
+  for (const key of Object.keys(profile)) {
+    if (!questions.some((question) => question.field === key)) {
+      fields[key] = "Unknown question";
+    }
+  }
+
+  for (const question of questions) {
+    const value = profile[question.field];
+    if (isBlank(value)) {
+      if (question.required !== false) fields[question.field] = "This question is required";
+      continue;
+    }
+
+    const [answer, error] = validateAnswer(question, value);
+    if (error) {
+      fields[question.field] = error;
+    } else {
+      normalized[question.field] = answer;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, "Invalid profile", "INVALID_PROFILE", { fields });
+  }
+  return normalized;
+};
@@ -0,0 +1,122 @@
+import archiver from "archiver";
+import { toCsv } from "../utils/csv.js";
+import { HttpError } from "../utils/errors.js";
+import { visibleProfile } from "./players.js";
+
+const formatAnswer = (value) => (Array.isArray(value) ? value.join("; ") : value);
+
+const secondsBetween = (from, to) =>
+  from && to ? Math.round((new Date(to) - new Date(from)) / 1000) : null;
+
+// Columns of each sheet, keyed by the name used in ?columns=. Profile answers
+// are keyed by question field and titled with the question.
+const sheetColumns = (session) => ({
+  leaderboard: [
+    { key: "rank", header: "Rank", value: (row) => row.rank },
+    { key: "name", header: "Name", value: (row) => row.player.name },
+    ...((session.teams || []).length > 0
+      ? [
+          {
+            key: "team",
+            header: "Team",
+            value: (row) =>
+              session.teams.find((team) => team.teamId === row.player.teamId)?.name,
+          },
+        ]
+      : []),
+    { key: "score", header: "Score", value: (row) => row.player.score },
+    { key: "wrongGuesses", header: "Wrong guesses", value: (row) => row.player.wrongGuesses },
+    { key: "peopleKnown", header: "People known", value: (row) => row.player.peopleKnown },
+    {
+      key: "peopleWhoKnowYou",
+      header: "People who know you",
+      value: (row) => row.player.peopleWhoKnowYou,
+    },
+    { key: "completedAt", header: "Completed at", value: (row) => row.player.completedAt },
+    {
+      key: "completionSeconds",
+      header: "Completion time (s)",
+      value: (row) => secondsBetween(session.startedAt, row.player.completedAt),
+    },
+    ...session.questions.map((question) => ({
+      key: question.field,
+      header: question.title,
+      value: (row) => formatAnswer(visibleProfile(row.player)?.[question.field]),
+    })),
+  ],
+  matches: [
+    { key: "finder", header: "Finder", value: (row) => row.finder },
+    { key: "found", header: "Found", value: (row) => row.found },
+    { key: "timestamp", header: "Timestamp", value: (row) => row.timestamp },
+    { key: "selfieUrl", header: "Selfie", value: (row) => row.selfieUrl },
+  ],
+  teams: [
+    { key: "rank", header: "Rank", value: (row) => row.rank },
+    { key: "team", header: "Team", value: (row) => row.name },
+    { key: "members", header: "Members", value: (row) => row.members },
+    { key: "totalScore", header: "Total score", value: (row) => row.totalScore },
+    { key: "averageScore", header: "Average score", value: (row) => row.averageScore },
+    { key: "matches", header: "Matches", value: (row) => row.matches },
+  ],
+});
+
+// ?columns=a,b,c picks and orders columns across sheets, a sheet with none
+// of the requested columns keeps all of its own
+const selectColumns = (columnsBySheet, requested) => {
+  if (!requested) return columnsBySheet;
+
+  const keys = String(requested)
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const known = Object.values(columnsBySheet).flat().map((column) => column.key);
+  const unknown = keys.filter((key) => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new HttpError(400, "Unknown columns", "INVALID_COLUMNS", { columns: unknown, known });
+  }
+
+  return Object.fromEntries(
+    Object.entries(columnsBySheet).map(([sheet, columns]) => {
+      const picked = keys
+        .map((key) => columns.find((column) => column.key === key))
+        .filter(Boolean);
+      return [sheet, picked.length > 0 ? picked : columns];
+    })
+  );
+};
+
+// Players must be sorted by leaderboard order. The teams sheet is only
+// included when a team leaderboard is given.
+export const buildResultSheets = (session, players, requestedColumns, teamLeaderboard) => {
+  const columns = selectColumns(sheetColumns(session), requestedColumns);
+
+  const leaderboardRows = players.map((player, index) => ({ rank: index + 1, player }));
+  const matchRows = players.flatMap((player) =>
+    (player.matches || []).map((match) => ({
+      finder: player.name,
+      found: match.playerName,
+      timestamp: match.timestamp,
+      selfieUrl: match.hidden ? null : match.selfieUrl,
+    }))
+  );
+
+  return {
+    leaderboard: toCsv(leaderboardRows, columns.leaderboard),
+    matches: toCsv(matchRows, columns.matches),
+    ...(teamLeaderboard && { teams: toCsv(teamLeaderboard, columns.teams) }),
+  };
+};
+
+export const RESULT_SHEETS = ["leaderboard", "matches", "teams"];
+
+// Streams every sheet as its own CSV inside a ZIP
+export const writeResultsZip = async (sheets, output) => {
+  const archive = archiver("zip");
+  archive.on("error", (error) => output.destroy(error));
+  archive.pipe(output);
+
+  for (const [sheet, csv] of Object.entries(sheets)) {
+    archive.append(csv, { name: `${sheet}.csv` });
+  }
+  await archive.finalize();
+};
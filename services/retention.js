@@ -0,0 +1,180 @@
+/* global process */
+
+import {
+  Connection,
+  ExportJob,
+  MatchConfirmation,
+  Player,
+  ScoreEvent,
+  Session,
+  Webhook,
+  WebhookDelivery,
+} from "../models/index.js";
+import storage, { exportStorage } from "../storage/index.js";
+import { HttpError } from "../utils/errors.js";
+import { clearLeaderboard } from "./leaderboard.js";
+import { removePlayer } from "./moderation.js";
+import { SPECTATOR_NAMESPACE } from "./spectators.js";
+import { clearSessionTimer } from "./timer.js";
+
+const SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Days after which ended sessions are deleted, unset or 0 keeps them forever
+const retentionDays = () => parseFloat(process.env.SESSION_RETENTION_DAYS) || 0;
+
+const playerPrefix = (sessionId, playerId) => `${sessionId}/${playerId}/`;
+
+const deleteExports = async (sessionId) => {
+  await exportStorage?.deletePrefix(`${sessionId}/`);
+  // Archives written before exports moved out of public storage
+  await storage.deletePrefix(`exports/${sessionId}/`);
+  await ExportJob.deleteMany({ sessionId });
+};
+
+// Storage keys of the selfies other players took of `playerIds`
+const selfieKeysOf = async (sessionId, playerIds) => {
+  const ids = new Set(playerIds.map(String));
+  const finders = await Player.find({
+    sessionId,
+    _id: { $nin: playerIds },
+    "matches.playerId": { $in: playerIds },
+  }).select("matches");
+  return finders
+    .flatMap((finder) => finder.matches)
+    .filter((match) => ids.has(String(match.playerId)) && match.selfieUrl)
+    .map((match) => storage.keyFromUrl(match.selfieUrl))
+    .filter(Boolean);
+};
+
+// Deletes a session with its players, connections, ledger, exports and
+// uploads. With keepPreserved, players who opted into preserveData are kept
+// along with their own uploads, and the session stays as their context.
+export const purgeSession = async (io, sessionId, { keepPreserved = false } = {}) => {
+  const session = await Session.findOne({ sessionId });
+  if (!session) {
+    throw new HttpError(404, "Session not found", "SESSION_NOT_FOUND");
+  }
+
+  const players = await Player.find({ sessionId }).select("_id preserveData");
+  const removed = players.filter((player) => !keepPreserved || !player.preserveData);
+  const kept = players.length - removed.length;
+  const removedIds = removed.map((player) => player._id);
+
+  clearSessionTimer(sessionId);
+  await clearLeaderboard(sessionId);
+  await deleteExports(sessionId);
+  await Connection.deleteMany({ sessionId });
+  await MatchConfirmation.deleteMany({ sessionId });
+  await WebhookDelivery.deleteMany({ sessionId }); // Payloads carry player names
+
+  let objects = 0;
+  if (kept === 0) {
+    objects = await storage.deletePrefix(`${sessionId}/`);
+    await Player.deleteMany({ sessionId });
+    await ScoreEvent.deleteMany({ sessionId });
+    await Webhook.deleteMany({ sessionId });
+    await Session.deleteOne({ sessionId });
+  } else {
+    for (const playerId of removedIds) {
+      objects += await storage.deletePrefix(playerPrefix(sessionId, playerId));
+    }
+    // Kept finders' selfies of removed players live under the finders' prefixes
+    const removedKeys = await selfieKeysOf(sessionId, removedIds);
+    await Promise.all(removedKeys.map((key) => storage.deleteObject(key)));
+    objects += removedKeys.length;
+
+    await Player.deleteMany({ _id: { $in: removedIds } });
+    await ScoreEvent.deleteMany({ playerId: { $in: removedIds } });
+    // Kept players must not point at people who were deleted
+    await Player.updateMany(
+      { sessionId },
+      { $pull: { matches: { playerId: { $in: removedIds } } } }
+    );
+    await Session.updateOne({ sessionId }, { purgedAt: new Date(), playerCount: kept });
+  }
+
+  io.to(sessionId).emit("sessionPurged", { sessionId });
+  io.in(sessionId).socketsLeave(sessionId);
+  io.of(SPECTATOR_NAMESPACE).in(sessionId).disconnectSockets(true);
+
+  console.log(
+    `Purged session ${sessionId}: ${removed.length} player(s) and ${objects} object(s) deleted, ${kept} kept`
+  );
+  return { sessionId, playersDeleted: removed.length, playersKept: kept, objectsDeleted: objects };
+};
+
+// Self-service erasure: the player's profile, uploads, selfies others took
+// of them and every match referencing them are removed, and everyone's
+// scores corrected.
+export const erasePlayer = async (io, player) => {
+  const session = await Session.findOne({ sessionId: player.sessionId });
+  if (!session) {
+    throw new HttpError(404, "Session not found", "SESSION_NOT_FOUND");
+  }
+
+  // Selfies of this player live under the finders' prefixes
+  const selfieKeys = await selfieKeysOf(player.sessionId, [player._id]);
+
+  await removePlayer(io, {
+    session,
+    playerId: player._id,
+    actor: { role: "player", id: String(player._id) },
+    reason: "Player erased their data",
+    notify: false,
+  });
+
+  await Promise.all(selfieKeys.map((key) => storage.deleteObject(key)));
+  const objects = await storage.deletePrefix(playerPrefix(player.sessionId, player._id));
+  await ScoreEvent.deleteMany({ playerId: player._id });
+  // Milestones stay claimed so they aren't announced again, just without
+  // the player
+  await Session.updateOne(
+    { sessionId: player.sessionId },
+    { $unset: { "milestones.$[mine].player": "" } },
+    { arrayFilters: [{ "mine.player.playerId": player._id }] }
+  );
+  // Webhook payloads carry the player's name, leaderboard rows use string ids
+  const ids = [player._id, String(player._id)];
+  await WebhookDelivery.deleteMany({
+    sessionId: player.sessionId,
+    $or: ["player", "finder", "found", "leaderboard"].map((field) => ({
+      [`payload.data.${field}.playerId`]: { $in: ids },
+    })),
+  });
+  // Exports made so far may contain this player's photos and answers
+  await deleteExports(player.sessionId);
+
+  return { playerId: player._id, objectsDeleted: objects + selfieKeys.length };
+};
+
+// Deletes ended sessions past SESSION_RETENTION_DAYS, keeping players who
+// asked to preserve their data
+export const purgeExpiredSessions = async (io) => {
+  const days = retentionDays();
+  if (!days) return 0;
+
+  const sessions = await Session.find({
+    status: "ended",
+    endedAt: { $lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    purgedAt: null,
+  }).select("sessionId");
+
+  for (const { sessionId } of sessions) {
+    try {
+      await purgeSession(io, sessionId, { keepPreserved: true });
+    } catch (error) {
+      console.error(`Error purging expired session ${sessionId}:`, error);
+    }
+  }
+  return sessions.length;
+};
+
+export const startRetentionSweep = (io) => {
+  if (!retentionDays()) return;
+
+  const sweep = () =>
+    purgeExpiredSessions(io).catch((error) => console.error("Error in retention sweep:", error));
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL).unref();
+  console.log(`Ended sessions are deleted after ${retentionDays()} day(s)`);
+};
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import { Player, ScoreEvent } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+
+const MAX_REASON_LENGTH = 500;
+
+export const playerActor = (playerId) => ({ role: "player", id: String(playerId) });
+export const adminActor = (admin) => ({ role: "admin", id: admin?.sub });
+export const SYSTEM_ACTOR = { role: "system" };
+
+// Admin corrections must say why
+export const requireReason = (rawReason) => {
+  const reason = typeof rawReason === "string" ? rawReason.trim() : "";
+  if (!reason || reason.length > MAX_REASON_LENGTH) {
+    throw new HttpError(
+      400,
+      `A reason of 1 to ${MAX_REASON_LENGTH} characters is required`,
+      "REASON_REQUIRED"
+    );
+  }
+  return reason;
+};
+
+const sumDeltas = async (playerId) => {
+  const [totals] = await ScoreEvent.aggregate([
+    { $match: { playerId: new mongoose.Types.ObjectId(String(playerId)) } },
+    { $group: { _id: null, score: { $sum: "$delta" }, events: { $sum: 1 } } },
+  ]);
+  return { score: totals?.score || 0, events: totals?.events || 0 };
+};
+
+// Once per player, records whatever part of their score the ledger doesn't
+// explain, i.e. points from before the ledger existed. Taken right after
+// their first event, so later rebuilds keep those points.
+const recordBaseline = async (playerId) => {
+  const player = await Player.findOneAndUpdate(
+    { _id: playerId, ledgerStartedAt: null },
+    { ledgerStartedAt: new Date() },
+    { new: true }
+  );
+  if (!player) return;
+
+  const { score } = await sumDeltas(playerId);
+  const baseline = (player.score || 0) - score;
+  if (baseline === 0) return;
+
+  await ScoreEvent.create({
+    sessionId: player.sessionId,
+    playerId: player._id,
+    type: "adjustment",
+    delta: baseline,
+    actor: SYSTEM_ACTOR,
+    reason: "Baseline for points from before the score ledger",
+  });
+};
+
+// Appends one or more events to the ledger
+export const recordScoreEvents = async (...events) => {
+  const inserted = await ScoreEvent.insertMany(
+    events.map((event) => ({
+      ...event,
+      relatedPlayers: event.relatedPlayers || [],
+    }))
+  );
+
+  const playerIds = new Set(events.map((event) => String(event.playerId)));
+  await Promise.all([...playerIds].map(recordBaseline));
+  return inserted;
+};
+
+export const listScoreEvents = (filter) => ScoreEvent.find(filter).sort({ createdAt: 1 });
+
+// Manual admin change, either relative (`delta`) or absolute (`score`)
+export const adjustScore = async ({ playerId, delta, score, actor, reason }) => {
+  const before = await Player.findByIdAndUpdate(
+    playerId,
+    score !== undefined ? { $set: { score } } : { $inc: { score: delta } },
+    { new: false }
+  );
+  if (!before) {
+    throw new HttpError(404, "Player not found", "PLAYER_NOT_FOUND");
+  }
+
+  const applied = score !== undefined ? score - (before.score || 0) : delta;
+  const [event] = await recordScoreEvents({
+    sessionId: before.sessionId,
+    playerId: before._id,
+    type: "adjustment",
+    delta: applied,
+    actor,
+    reason,
+  });
+
+  return { player: await Player.findById(playerId), event };
+};
+
+// Sets a player's score to the sum of their ledger deltas. A player's
+// points from before the ledger are kept through the baseline event taken
+// with their first ledger event, or now if they have none yet.
+export const rebuildScore = async (playerId) => {
+  const player = await Player.findById(playerId);
+  if (!player) {
+    throw new HttpError(404, "Player not found", "PLAYER_NOT_FOUND");
+  }
+
+  await recordBaseline(player._id);
+  const { score, events } = await sumDeltas(player._id);
+
+  const updated = await Player.findByIdAndUpdate(playerId, { score }, { new: true });
+  return {
+    player: updated,
+    previousScore: player.score || 0,
+    score,
+    events,
+  };
+};
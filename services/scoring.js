@@ -0,0 +1,150 @@
+import { Session } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+
+export const DEFAULT_SCORING = {
+  finderPoints: 100,
+  foundPoints: 50,
+  wrongMatchPoints: -10,
+  minScore: null, // null = scores may go negative
+  speedBonus: { maxPoints: 0, decayMinutes: 30 },
+  streakBonus: { points: 0, every: 3 },
+  firstToFind: [], // [{ matches, points }]
+};
+
+const isInt = (value) => Number.isInteger(value);
+
+// Validates a (partial) scoring config from the request body and merges it
+// over `base`. Throws a 400 on anything malformed.
+export const normalizeScoring = (input, base = DEFAULT_SCORING) => {
+  if (input === undefined || input === null) return { ...base };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new HttpError(400, "scoring must be an object", "INVALID_SCORING");
+  }
+
+  const invalid = (field) =>
+    new HttpError(400, `Invalid scoring value for ${field}`, "INVALID_SCORING", { field });
+
+  const scoring = {
+    ...base,
+    ...input,
+    speedBonus: { ...base.speedBonus, ...input.speedBonus },
+    streakBonus: { ...base.streakBonus, ...input.streakBonus },
+    firstToFind: input.firstToFind ?? base.firstToFind,
+  };
+
+  for (const field of ["finderPoints", "foundPoints"]) {
+    if (!isInt(scoring[field]) || scoring[field] < 0) throw invalid(field);
+  }
+  if (!isInt(scoring.wrongMatchPoints) || scoring.wrongMatchPoints > 0) {
+    throw invalid("wrongMatchPoints");
+  }
+  if (scoring.minScore !== null && !isInt(scoring.minScore)) {
+    throw invalid("minScore");
+  }
+  if (!isInt(scoring.speedBonus.maxPoints) || scoring.speedBonus.maxPoints < 0) {
+    throw invalid("speedBonus.maxPoints");
+  }
+  if (!(scoring.speedBonus.decayMinutes > 0)) {
+    throw invalid("speedBonus.decayMinutes");
+  }
+  if (!isInt(scoring.streakBonus.points) || scoring.streakBonus.points < 0) {
+    throw invalid("streakBonus.points");
+  }
+  if (!isInt(scoring.streakBonus.every) || scoring.streakBonus.every < 1) {
+    throw invalid("streakBonus.every");
+  }
+  if (
+    !Array.isArray(scoring.firstToFind) ||
+    scoring.firstToFind.some(
+      (bonus) => !isInt(bonus?.matches) || bonus.matches < 1 || !isInt(bonus.points) || bonus.points < 0
+    )
+  ) {
+    throw invalid("firstToFind");
+  }
+
+  // Keep only what the schema knows, awards are tracked by the server
+  scoring.firstToFind = scoring.firstToFind.map(({ matches, points }) => ({ matches, points }));
+  return {
+    finderPoints: scoring.finderPoints,
+    foundPoints: scoring.foundPoints,
+    wrongMatchPoints: scoring.wrongMatchPoints,
+    minScore: scoring.minScore,
+    speedBonus: {
+      maxPoints: scoring.speedBonus.maxPoints,
+      decayMinutes: scoring.speedBonus.decayMinutes,
+    },
+    streakBonus: {
+      points: scoring.streakBonus.points,
+      every: scoring.streakBonus.every,
+    },
+    firstToFind: scoring.firstToFind,
+  };
+};
+
+// Scoring stored on the session, falling back to the defaults for sessions
+// created before scoring was configurable
+export const getScoring = (session) => {
+  const stored =
+    typeof session.toObject === "function" ? session.toObject().scoring : session.scoring;
+  return { ...DEFAULT_SCORING, ...stored };
+};
+
+// Linear decay from maxPoints at start to 0 after decayMinutes
+export const speedBonusFor = (scoring, startedAt, at = new Date()) => {
+  const { maxPoints, decayMinutes } = scoring.speedBonus;
+  if (!maxPoints || !startedAt) return 0;
+
+  const elapsed = (at - new Date(startedAt)) / 60000;
+  return Math.max(0, Math.round(maxPoints * (1 - elapsed / decayMinutes)));
+};
+
+export const streakBonusFor = (scoring, streak) => {
+  const { points, every } = scoring.streakBonus;
+  return points && streak > 0 && streak % every === 0 ? points : 0;
+};
+
+// Awards each "first to find N" bonus to the first player reaching N matches.
+// The claim is atomic so only one player can win each bonus.
+export const claimFirstToFindBonuses = async (sessionId, scoring, playerId, matchCount) => {
+  let total = 0;
+
+  for (const { matches, points } of scoring.firstToFind) {
+    if (matches !== matchCount) continue;
+
+    const claimed = await Session.findOneAndUpdate(
+      {
+        sessionId,
+        "scoring.firstToFind": { $elemMatch: { matches, awardedTo: null } },
+      },
+      { $set: { "scoring.firstToFind.$[bonus].awardedTo": playerId } },
+      { arrayFilters: [{ "bonus.matches": matches, "bonus.awardedTo": null }] }
+    );
+    if (claimed) total += points;
+  }
+
+  return total;
+};
+
+// Pipeline expression incrementing a numeric field that may be missing
+export const increment = (field, by = 1) => ({
+  $add: [{ $ifNull: [`$${field}`, 0] }, by],
+});
+
+// The score scoreUpdate leaves behind, for recording the applied delta
+export const scoreAfter = (scoring, score, delta) =>
+  scoring.minScore === null
+    ? (score || 0) + delta
+    : Math.max(scoring.minScore, (score || 0) + delta);
+
+// Update pipeline adding `delta` to the score without going under minScore
+export const scoreUpdate = (scoring, delta, set = {}) => {
+  const score = increment("score", delta);
+  return [
+    {
+      $set: {
+        ...set,
+        score: scoring.minScore === null ? score : { $max: [scoring.minScore, score] },
+      },
+    },
+  ];
+};
@@ -0,0 +1,287 @@
+import { Player, Session } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+import { resetAssignments } from "./assignments.js";
+import { clearLeaderboard, toLeaderboardRows } from "./leaderboard.js";
+import { toSpectators } from "./spectators.js";
+import { buildTeamLeaderboard } from "./teams.js";
+import { clearSessionTimer, scheduleSessionTimer, timerState } from "./timer.js";
+import { dispatchWebhookEvent, sessionSummary } from "./webhooks.js";
+
+const MAX_DURATION = 24 * 60 * 60; // seconds
+
+// Session lifecycle: action -> allowed source states and target state
+export const TRANSITIONS = {
+  start: { from: ["waiting"], to: "playing" },
+  pause: { from: ["playing"], to: "paused" },
+  resume: { from: ["paused"], to: "playing" },
+  end: { from: ["waiting", "playing", "paused"], to: "ended" },
+  reopen: { from: ["ended"], to: "playing" },
+};
+
+const STATUS_ERRORS = {
+  waiting: [409, "Game has not started yet", "GAME_NOT_STARTED"],
+  playing: [409, "Game has already started", "GAME_ALREADY_STARTED"],
+  paused: [409, "Game is paused", "GAME_PAUSED"],
+  ended: [409, "Session has ended", "SESSION_ENDED"],
+};
+
+// Throws unless the session is in one of the allowed states
+export const assertSessionStatus = (session, allowed) => {
+  const status = session.status || "waiting";
+  if (!allowed.includes(status)) {
+    throw new HttpError(...STATUS_ERRORS[status]);
+  }
+};
+
+// Timed sessions reject game actions once endsAt has passed, even before the
+// timer has had a chance to end them
+export const assertTimeRemaining = (session) => {
+  if (session.endsAt && new Date(session.endsAt) <= new Date()) {
+    throw new HttpError(409, "Time is up", "TIME_UP");
+  }
+};
+
+// Validates an optional game duration (in seconds) from the request body
+export const parseDuration = (value, field = "durationSeconds") => {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value <= 0 || value > MAX_DURATION) {
+    throw new HttpError(400, `${field} must be between 1 and ${MAX_DURATION} seconds`, "INVALID_DURATION");
+  }
+  return value;
+};
+
+const findSession = async (sessionId) => {
+  const session = await Session.findOne({ sessionId });
+  if (!session) {
+    throw new HttpError(404, "Session not found", "SESSION_NOT_FOUND");
+  }
+  return session;
+};
+
+// Atomically moves a session along the lifecycle and tells the room about it.
+// `update` is merged into the same write (e.g. timestamps set on start).
+export const transitionSession = async (io, sessionId, action, update = {}) => {
+  const { from, to } = TRANSITIONS[action];
+
+  const session = await Session.findOneAndUpdate(
+    { sessionId, status: { $in: from } },
+    { ...update, status: to },
+    { new: true }
+  );
+
+  if (!session) {
+    const current = await Session.findOne({ sessionId });
+    if (!current) {
+      throw new HttpError(404, "Session not found", "SESSION_NOT_FOUND");
+    }
+    throw new HttpError(
+      409,
+      `Cannot ${action} a session that is ${current.status}`,
+      "INVALID_TRANSITION",
+      { status: current.status }
+    );
+  }
+
+  const statusChange = { sessionId, action, status: session.status };
+  io.to(sessionId).emit("sessionStatusChanged", statusChange);
+  toSpectators(io, sessionId).emit("sessionStatusChanged", {
+    ...statusChange,
+    endsAt: session.endsAt || null,
+  });
+
+  return session;
+};
+
+export const startSession = async (io, sessionId) => {
+  const current = await findSession(sessionId);
+  const now = new Date();
+
+  const session = await transitionSession(io, sessionId, "start", {
+    startedAt: now,
+    endsAt: current.durationSeconds
+      ? new Date(now.getTime() + current.durationSeconds * 1000)
+      : null,
+    timerRemainingMs: null,
+    timerPaused: false,
+  });
+  scheduleSessionTimer(io, session, expireSession);
+
+  const players = await Player.find({ sessionId });
+  io.to(sessionId).emit("gameStarted", players);
+  dispatchWebhookEvent(sessionId, "gameStarted", {
+    session: sessionSummary(session),
+    playerCount: players.length,
+  });
+
+  return session;
+};
+
+export const endSession = async (io, sessionId) => {
+  const session = await transitionSession(io, sessionId, "end", { endedAt: new Date() });
+  clearSessionTimer(sessionId);
+  await clearLeaderboard(sessionId);
+  await resetAssignments(sessionId);
+
+  // The team leaderboard rides along as a second argument so clients reading
+  // only the player list keep working
+  const players = await Player.find({ sessionId }).sort({ score: -1, lastMatchAt: 1 });
+  const teams = await buildTeamLeaderboard(session);
+  io.to(sessionId).emit("gameEnded", players, { teams });
+  dispatchWebhookEvent(sessionId, "gameEnded", {
+    session: sessionSummary(session),
+    leaderboard: toLeaderboardRows(players),
+    teams,
+  });
+
+  return session;
+};
+
+// Pausing the game also freezes its timer, resuming picks it up again unless
+// the host had paused the timer on its own
+export const pauseSession = async (io, sessionId) => {
+  const current = await findSession(sessionId);
+  const update = current.endsAt
+    ? { endsAt: null, timerRemainingMs: Math.max(0, current.endsAt - Date.now()) }
+    : {};
+
+  const session = await transitionSession(io, sessionId, "pause", update);
+  clearSessionTimer(sessionId);
+
+  return session;
+};
+
+export const resumeSession = async (io, sessionId) => {
+  const current = await findSession(sessionId);
+  const update =
+    current.timerRemainingMs != null && !current.timerPaused
+      ? { endsAt: new Date(Date.now() + current.timerRemainingMs), timerRemainingMs: null }
+      : {};
+
+  const session = await transitionSession(io, sessionId, "resume", update);
+  scheduleSessionTimer(io, session, expireSession);
+
+  return session;
+};
+
+// A reopened session runs without a time limit until the host extends it
+export const reopenSession = (io, sessionId) =>
+  transitionSession(io, sessionId, "reopen", {
+    endsAt: null,
+    timerRemainingMs: null,
+    timerPaused: false,
+    endedAt: null,
+  });
+
+export const sessionActions = {
+  start: startSession,
+  pause: pauseSession,
+  resume: resumeSession,
+  end: endSession,
+  reopen: reopenSession,
+};
+
+// Timer callback. endsAt may have moved since the timer was scheduled (e.g.
+// extended), so it is checked again before ending the game.
+export const expireSession = async (io, sessionId) => {
+  const session = await Session.findOne({ sessionId, status: "playing" });
+  if (!session?.endsAt) return;
+
+  if (session.endsAt > new Date()) {
+    scheduleSessionTimer(io, session, expireSession);
+    return;
+  }
+
+  await endSession(io, sessionId);
+  console.log(`Session ${sessionId} ended, time is up`);
+};
+
+const updateTimer = async (io, sessionId, filter, update) => {
+  const session = await Session.findOneAndUpdate(
+    { sessionId, status: { $in: ["playing", "paused"] }, ...filter },
+    update,
+    { new: true }
+  );
+  if (!session) {
+    await findSession(sessionId);
+    throw new HttpError(409, "Timer cannot be changed in the current state", "INVALID_TIMER_STATE");
+  }
+
+  scheduleSessionTimer(io, session, expireSession);
+  io.to(sessionId).emit("timerUpdated", timerState(session));
+
+  return session;
+};
+
+// Adds time to a running or paused timer, or puts an untimed game on a clock.
+// While the game is paused the clock only starts when it resumes.
+export const extendTimer = async (io, sessionId, seconds) => {
+  parseDuration(seconds, "seconds");
+  const current = await findSession(sessionId);
+
+  if (current.timerRemainingMs != null) {
+    return updateTimer(io, sessionId, { timerRemainingMs: { $ne: null } }, {
+      $inc: { timerRemainingMs: seconds * 1000 },
+    });
+  }
+  if (current.status === "paused") {
+    return updateTimer(io, sessionId, { status: "paused", timerRemainingMs: null }, {
+      timerRemainingMs: seconds * 1000,
+    });
+  }
+
+  const base = current.endsAt && current.endsAt > new Date() ? current.endsAt : new Date();
+  return updateTimer(io, sessionId, { status: "playing", endsAt: current.endsAt }, {
+    endsAt: new Date(base.getTime() + seconds * 1000),
+  });
+};
+
+export const pauseTimer = async (io, sessionId) => {
+  const current = await findSession(sessionId);
+  if (!current.endsAt) {
+    throw new HttpError(409, "Timer is not running", "INVALID_TIMER_STATE");
+  }
+
+  return updateTimer(io, sessionId, { endsAt: current.endsAt }, {
+    endsAt: null,
+    timerRemainingMs: Math.max(0, current.endsAt - Date.now()),
+    timerPaused: true,
+  });
+};
+
+// Only while the game runs, a paused game restarts its clock on resume
+export const resumeTimer = async (io, sessionId) => {
+  const current = await findSession(sessionId);
+  assertSessionStatus(current, ["playing"]);
+  if (current.timerRemainingMs == null) {
+    throw new HttpError(409, "Timer is not paused", "INVALID_TIMER_STATE");
+  }
+
+  return updateTimer(
+    io,
+    sessionId,
+    { status: "playing", timerRemainingMs: current.timerRemainingMs },
+    {
+      endsAt: new Date(Date.now() + current.timerRemainingMs),
+      timerRemainingMs: null,
+      timerPaused: false,
+    }
+  );
+};
+
+export const timerActions = {
+  extend: extendTimer,
+  pause: pauseTimer,
+  resume: resumeTimer,
+};
+
+// Reschedules timers of running games after a restart. Games whose time ran
+// out while the server was down are ended right away.
+export const restoreSessionTimers = async (io) => {
+  const sessions = await Session.find({ status: "playing", endsAt: { $ne: null } });
+  for (const session of sessions) {
+    scheduleSessionTimer(io, session, expireSession);
+  }
+  if (sessions.length > 0) {
+    console.log(`Restored timers for ${sessions.length} session(s)`);
+  }
+};
@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import { Player, Session } from "../models/index.js";
+
+// Read-only projector screens connect to this namespace with the session's
+// spectator key. They get names, selfies and counters, never profile answers.
+export const SPECTATOR_NAMESPACE = "/spectate";
+const FEED_LENGTH = 30;
+const MATCH_MILESTONES = [1, 10, 25, 50, 100, 250, 500, 1000];
+
+export const toSpectators = (io, sessionId) => io.of(SPECTATOR_NAMESPACE).to(sessionId);
+
+export const generateSpectatorKey = () => crypto.randomBytes(18).toString("base64url");
+
+// Total matches and how many players found everyone
+export const buildSpectatorStats = async (sessionId) => {
+  const [totals] = await Player.aggregate([
+    { $match: { sessionId } },
+    {
+      $group: {
+        _id: null,
+        players: { $sum: 1 },
+        finished: { $sum: { $cond: ["$isCompleted", 1, 0] } },
+        totalMatches: { $sum: { $size: { $ifNull: ["$matches", []] } } },
+      },
+    },
+  ]);
+
+  const players = totals?.players || 0;
+  const finished = totals?.finished || 0;
+  return {
+    players,
+    totalMatches: totals?.totalMatches || 0,
+    finished,
+    finishedPercent: players ? Math.round((finished / players) * 100) : 0,
+  };
+};
+
+const playerRef = (player) => ({ playerId: player._id, name: player.name });
+
+const matchItem = (finder, match) => ({
+  type: "match",
+  at: match.timestamp,
+  finder: playerRef(finder),
+  found: { playerId: match.playerId, name: match.playerName },
+  selfieUrl: match.hidden ? null : match.selfieUrl || null,
+});
+
+// Most recent feed items, for screens that connect mid-game
+const buildRecentFeed = async (session) => {
+  const players = await Player.find({ sessionId: session.sessionId }).select(
+    "name matches completedAt"
+  );
+
+  const items = [];
+  for (const player of players) {
+    for (const match of player.matches || []) items.push(matchItem(player, match));
+    if (player.completedAt) {
+      items.push({ type: "completed", at: player.completedAt, player: playerRef(player) });
+    }
+  }
+  for (const milestone of session.milestones || []) {
+    items.push({ type: "milestone", ...milestone.toObject() });
+  }
+
+  return items.sort((a, b) => new Date(b.at) - new Date(a.at)).slice(0, FEED_LENGTH);
+};
+
+export const buildSpectatorState = async (sessionId) => {
+  const session = await Session.findOne({ sessionId });
+  return {
+    session: {
+      sessionId,
+      name: session.name,
+      status: session.status,
+      startedAt: session.startedAt || null,
+      endsAt: session.endsAt || null,
+    },
+    stats: await buildSpectatorStats(sessionId),
+    feed: await buildRecentFeed(session),
+  };
+};
+
+// Milestones are stored on the session so each is announced once, even with
+// matches landing at the same time on several instances
+const claimMilestone = async (io, sessionId, milestone) => {
+  const entry = { ...milestone, at: new Date() };
+  const { modifiedCount } = await Session.updateOne(
+    { sessionId, "milestones.key": { $ne: milestone.key } },
+    { $push: { milestones: entry } }
+  );
+  if (modifiedCount === 1) {
+    toSpectators(io, sessionId).emit("spectatorFeed", { type: "milestone", ...entry });
+  }
+};
+
+const emitStats = async (io, sessionId) => {
+  const stats = await buildSpectatorStats(sessionId);
+  toSpectators(io, sessionId).emit("spectatorStats", stats);
+  return stats;
+};
+
+// Feed items and milestones for a new match, and the completion if the
+// finder just found everyone
+export const publishMatch = async (io, { sessionId, finder, match, completedAt }) => {
+  try {
+    const spectators = toSpectators(io, sessionId);
+    spectators.emit("spectatorFeed", matchItem(finder, match));
+    if (completedAt) {
+      spectators.emit("spectatorFeed", {
+        type: "completed",
+        at: completedAt,
+        player: playerRef(finder),
+      });
+    }
+
+    const stats = await emitStats(io, sessionId);
+    for (const count of MATCH_MILESTONES.filter((count) => stats.totalMatches >= count)) {
+      await claimMilestone(io, sessionId, {
+        key: `matches:${count}`,
+        label: count === 1 ? "First match" : `${count} matches`,
+      });
+    }
+    if (completedAt) {
+      await claimMilestone(io, sessionId, {
+        key: "firstFinisher",
+        label: "First player to finish",
+        player: playerRef(finder),
+      });
+    }
+    if (stats.finishedPercent >= 50) {
+      await claimMilestone(io, sessionId, { key: "halfFinished", label: "Half the players finished" });
+    }
+  } catch (error) {
+    console.error(`Error publishing match to spectators of ${sessionId}:`, error);
+  }
+};
+
+// Revoked matches and removed players drop out of the feed and counters
+export const publishMatchRevoked = async (io, sessionId, { finderId, foundPlayerId }) => {
+  try {
+    toSpectators(io, sessionId).emit("spectatorFeedRemoved", { finderId, foundPlayerId });
+    await emitStats(io, sessionId);
+  } catch (error) {
+    console.error(`Error publishing revocation to spectators of ${sessionId}:`, error);
+  }
+};
+
+export const publishPlayerRemoved = async (io, sessionId, playerId) => {
+  try {
+    toSpectators(io, sessionId).emit("spectatorPlayerRemoved", { playerId });
+    await emitStats(io, sessionId);
+  } catch (error) {
+    console.error(`Error publishing removal to spectators of ${sessionId}:`, error);
+  }
+};
+
+// A host hid or restored a selfie, screens swap it in place
+export const publishSelfieVisibility = (io, sessionId, finder, foundPlayerId) => {
+  const match = (finder.matches || []).find(
+    (entry) => String(entry.playerId) === String(foundPlayerId)
+  );
+  if (!match) return;
+
+  toSpectators(io, sessionId).emit("spectatorSelfieChanged", {
+    finderId: finder._id,
+    foundPlayerId,
+    selfieUrl: match.hidden ? null : match.selfieUrl || null,
+  });
+};
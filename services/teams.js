@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import { Player } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+
+const MAX_TEAMS = 20;
+const MAX_TEAM_NAME_LENGTH = 50;
+const TEAM_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+export const DEFAULT_TEAM_MODE = {
+  enabled: false,
+  autoAssign: true, // Balance players into teams as they join
+  sameTeamMatches: "count", // "count" or "blocked"
+  sameTeamMultiplier: 1, // Points factor for matches within a team
+};
+
+const slugify = (name) =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "team";
+
+// Validates a team list from the request body. Strings are team names,
+// objects may also set teamId and color.
+export const normalizeTeams = (input) => {
+  if (!Array.isArray(input) || input.length > MAX_TEAMS) {
+    throw new HttpError(400, `Teams must be a list of up to ${MAX_TEAMS} teams`, "INVALID_TEAMS");
+  }
+
+  const teams = input.map((raw, index) => {
+    const team = typeof raw === "string" ? { name: raw } : raw || {};
+    const name = typeof team.name === "string" ? team.name.trim() : "";
+    if (!name || name.length > MAX_TEAM_NAME_LENGTH) {
+      throw new HttpError(
+        400,
+        `Team names must be 1 to ${MAX_TEAM_NAME_LENGTH} characters`,
+        "INVALID_TEAMS",
+        { index }
+      );
+    }
+    if (team.teamId !== undefined && !TEAM_ID_PATTERN.test(team.teamId)) {
+      throw new HttpError(400, "teamId must be lowercase letters, digits and dashes", "INVALID_TEAMS", {
+        index,
+      });
+    }
+    if (team.color !== undefined && !COLOR_PATTERN.test(team.color)) {
+      throw new HttpError(400, "color must be a hex color like #1e90ff", "INVALID_TEAMS", { index });
+    }
+    return { teamId: team.teamId, name, color: team.color };
+  });
+
+  // Explicit ids must be unique, derived ones get a numeric suffix
+  const used = new Set();
+  teams.forEach((team, index) => {
+    if (!team.teamId) return;
+    if (used.has(team.teamId)) {
+      throw new HttpError(400, `Duplicate teamId "${team.teamId}"`, "INVALID_TEAMS", { index });
+    }
+    used.add(team.teamId);
+  });
+  teams.forEach((team) => {
+    if (team.teamId) return;
+    const base = slugify(team.name).slice(0, 45);
+    let teamId = base;
+    for (let n = 2; used.has(teamId); n++) teamId = `${base}-${n}`;
+    team.teamId = teamId;
+    used.add(teamId);
+  });
+
+  return teams;
+};
+
+// Validates (partial) team settings and merges them over `base`
+export const normalizeTeamMode = (input, base = DEFAULT_TEAM_MODE) => {
+  if (input === undefined || input === null) return { ...base };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new HttpError(400, "teamMode must be an object", "INVALID_TEAM_MODE");
+  }
+
+  const teamMode = { ...base, ...input };
+  const invalid = (field) =>
+    new HttpError(400, `Invalid team mode value for ${field}`, "INVALID_TEAM_MODE", { field });
+
+  if (typeof teamMode.enabled !== "boolean") throw invalid("enabled");
+  if (typeof teamMode.autoAssign !== "boolean") throw invalid("autoAssign");
+  if (!["count", "blocked"].includes(teamMode.sameTeamMatches)) throw invalid("sameTeamMatches");
+  if (
+    typeof teamMode.sameTeamMultiplier !== "number" ||
+    teamMode.sameTeamMultiplier < 0 ||
+    teamMode.sameTeamMultiplier > 1
+  ) {
+    throw invalid("sameTeamMultiplier");
+  }
+
+  return {
+    enabled: teamMode.enabled,
+    autoAssign: teamMode.autoAssign,
+    sameTeamMatches: teamMode.sameTeamMatches,
+    sameTeamMultiplier: teamMode.sameTeamMultiplier,
+  };
+};
+
+// Team settings stored on the session. Team mode needs at least one team.
+export const getTeamMode = (session) => {
+  const stored =
+    typeof session.toObject === "function" ? session.toObject().teamMode : session.teamMode;
+  const teamMode = { ...DEFAULT_TEAM_MODE, ...stored };
+  return { ...teamMode, enabled: teamMode.enabled && (session.teams || []).length > 0 };
+};
+
+const teamCounts = async (sessionId) => {
+  const counts = await Player.aggregate([
+    { $match: { sessionId, teamId: { $ne: null } } },
+    { $group: { _id: "$teamId", members: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((entry) => [entry._id, entry.members]));
+};
+
+// Team for a joining player: the smallest one, or none without auto-assign
+export const pickTeamForJoin = async (session) => {
+  const teamMode = getTeamMode(session);
+  if (!teamMode.enabled || !teamMode.autoAssign) return null;
+
+  const counts = await teamCounts(session.sessionId);
+  return session.teams.reduce((smallest, team) =>
+    (counts.get(team.teamId) || 0) < (counts.get(smallest.teamId) || 0) ? team : smallest
+  ).teamId;
+};
+
+// Shuffles every player of the session into evenly sized teams
+export const balanceTeams = async (session) => {
+  const teams = session.teams || [];
+  if (teams.length === 0) {
+    throw new HttpError(400, "Session has no teams", "NO_TEAMS");
+  }
+
+  const players = await Player.find({ sessionId: session.sessionId }).select("_id");
+  for (let i = players.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(0, i + 1);
+    [players[i], players[j]] = [players[j], players[i]];
+  }
+
+  if (players.length > 0) {
+    await Player.bulkWrite(
+      players.map((player, index) => ({
+        updateOne: {
+          filter: { _id: player._id },
+          update: { teamId: teams[index % teams.length].teamId },
+        },
+      }))
+    );
+  }
+  return teamCounts(session.sessionId);
+};
+
+export const isSameTeam = (session, finder, foundPlayer) =>
+  getTeamMode(session).enabled && !!finder.teamId && finder.teamId === foundPlayer.teamId;
+
+export const assertTeamMatchAllowed = (session, finder, foundPlayer) => {
+  if (isSameTeam(session, finder, foundPlayer) && getTeamMode(session).sameTeamMatches === "blocked") {
+    throw new HttpError(400, "Matches within your own team don't count", "SAME_TEAM");
+  }
+};
+
+// Factor applied to the base points of a match
+export const teamMultiplierFor = (session, finder, foundPlayer) =>
+  isSameTeam(session, finder, foundPlayer) ? getTeamMode(session).sameTeamMultiplier : 1;
+
+// Teams ranked by total score, with average score per member. Null when
+// team mode is off.
+export const buildTeamLeaderboard = async (session) => {
+  if (!getTeamMode(session).enabled) return null;
+
+  const totals = await Player.aggregate([
+    { $match: { sessionId: session.sessionId, teamId: { $ne: null } } },
+    {
+      $group: {
+        _id: "$teamId",
+        members: { $sum: 1 },
+        totalScore: { $sum: "$score" },
+        averageScore: { $avg: "$score" },
+        matches: { $sum: { $size: { $ifNull: ["$matches", []] } } },
+      },
+    },
+  ]);
+  const byTeam = new Map(totals.map((entry) => [entry._id, entry]));
+
+  return session.teams
+    .map((team) => {
+      const entry = byTeam.get(team.teamId);
+      return {
+        teamId: team.teamId,
+        name: team.name,
+        color: team.color,
+        members: entry?.members || 0,
+        totalScore: entry?.totalScore || 0,
+        averageScore: entry ? Math.round(entry.averageScore * 10) / 10 : 0,
+        matches: entry?.matches || 0,
+      };
+    })
+    .sort((a, b) => b.totalScore - a.totalScore || b.averageScore - a.averageScore)
+    .map((team, index) => ({ rank: index + 1, ...team }));
+};
@@ -0,0 +1,60 @@
+// In-process countdowns for timed sessions. The source of truth is
+// Session.endsAt, these timers only drive the ticks and the automatic end.
+const timers = new Map();
+const TICK_INTERVAL = 5000; // clients count down locally from endsAt between ticks
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout fires right away for longer delays
+
+export const remainingSeconds = (endsAt) =>
+  Math.max(0, Math.ceil((new Date(endsAt) - Date.now()) / 1000));
+
+export const timerState = (session) => ({
+  sessionId: session.sessionId,
+  endsAt: session.endsAt || null,
+  remainingSeconds: session.endsAt
+    ? remainingSeconds(session.endsAt)
+    : session.timerRemainingMs != null
+      ? Math.ceil(session.timerRemainingMs / 1000)
+      : null,
+  paused: session.timerRemainingMs != null,
+});
+
+export const clearSessionTimer = (sessionId) => {
+  const timer = timers.get(sessionId);
+  if (timer) {
+    clearInterval(timer.tick);
+    clearTimeout(timer.timeout);
+    timers.delete(sessionId);
+  }
+};
+
+// (Re)schedules ticks and the expiry callback from session.endsAt
+export const scheduleSessionTimer = (io, session, onExpire) => {
+  const { sessionId, endsAt } = session;
+  clearSessionTimer(sessionId);
+  if (!endsAt) return;
+
+  const tick = setInterval(() => {
+    io.to(sessionId).emit("timerTick", {
+      sessionId,
+      endsAt,
+      remainingSeconds: remainingSeconds(endsAt),
+    });
+  }, TICK_INTERVAL);
+
+  // Far away ends are reached in steps of MAX_TIMEOUT
+  const remaining = Math.max(0, new Date(endsAt) - Date.now());
+  const timeout = setTimeout(async () => {
+    if (remaining > MAX_TIMEOUT) {
+      scheduleSessionTimer(io, session, onExpire);
+      return;
+    }
+    clearSessionTimer(sessionId);
+    try {
+      await onExpire(io, sessionId);
+    } catch (error) {
+      console.error(`Error expiring session ${sessionId}:`, error);
+    }
+  }, Math.min(remaining, MAX_TIMEOUT));
+
+  timers.set(sessionId, { tick, timeout });
+};
@@ -0,0 +1,67 @@
+/* global process */
+
+import crypto from "crypto";
+import storage from "../storage/index.js";
+import { isSafeKey } from "../storage/keys.js";
+import { HttpError } from "../utils/errors.js";
+
+export const ALLOWED_IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+};
+export const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+const UPLOAD_EXPIRES_IN = 60; // seconds
+
+// Uploads live under <sessionId>/<playerId>/ so they can be traced back to
+// the player who made them
+const uploadPrefix = (sessionId, playerId) => `${sessionId}/${playerId}/`;
+
+// Upload target limited to one image type and MAX_UPLOAD_SIZE
+export const createUploadTarget = async ({ sessionId, playerId, fileType }) => {
+  const extension = ALLOWED_IMAGE_TYPES[fileType];
+  if (!extension) {
+    throw new HttpError(400, "Unsupported file type", "INVALID_FILE_TYPE", {
+      allowedTypes: Object.keys(ALLOWED_IMAGE_TYPES),
+    });
+  }
+
+  const key = `${uploadPrefix(sessionId, playerId)}${Date.now()}-${crypto
+    .randomBytes(6)
+    .toString("hex")}.${extension}`;
+
+  const { uploadUrl, fields } = await storage.createUploadTarget({
+    key,
+    contentType: fileType,
+    maxSize: MAX_UPLOAD_SIZE,
+    expiresIn: UPLOAD_EXPIRES_IN,
+  });
+
+  return {
+    uploadUrl,
+    fields,
+    key,
+    publicUrl: storage.publicUrl(key),
+    maxSize: MAX_UPLOAD_SIZE,
+  };
+};
+
+// Checks that a URL points at an image in our storage uploaded by this player
+// for this session, and returns the normalized public URL
+export const verifyUpload = async (url, { sessionId, playerId }) => {
+  const key = storage.keyFromUrl(url);
+  if (!isSafeKey(key) || !key.startsWith(uploadPrefix(sessionId, playerId))) {
+    throw new HttpError(400, "Image was not uploaded for this session", "INVALID_UPLOAD");
+  }
+
+  const head = await storage.headObject(key);
+  if (!head) {
+    throw new HttpError(400, "Image has not been uploaded", "UPLOAD_NOT_FOUND");
+  }
+  if (!ALLOWED_IMAGE_TYPES[head.contentType] || head.size > MAX_UPLOAD_SIZE) {
+    throw new HttpError(400, "Image was not uploaded for this session", "INVALID_UPLOAD");
+  }
+
+  return storage.publicUrl(key);
+};
@@ -0,0 +1,338 @@
+/* global process */
+
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import mongoose from "mongoose";
+import net from "net";
+import { Session, Webhook, WebhookDelivery } from "../models/index.js";
+import { HttpError } from "../utils/errors.js";
+import { assertGlobalAdmin, hasSessionRole } from "./hosts.js";
+
+export const WEBHOOK_EVENTS = [
+  "gameStarted",
+  "gameEnded",
+  "playerJoined",
+  "matchConfirmed",
+  "playerCompleted",
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_DELAY = 30 * 1000; // Doubles with every attempt: 30s, 1m, 2m, ...
+const REQUEST_TIMEOUT = 10 * 1000;
+const ATTEMPT_LOCK = 60 * 1000; // An attempt in flight is left alone this long
+const SWEEP_INTERVAL = 15 * 1000;
+const MAX_RESPONSE_BODY = 500;
+
+// Receivers on the server's own network are refused so webhooks can't be
+// used to reach internal services or cloud metadata. On-prem setups whose
+// receivers are on a private network can opt out with WEBHOOK_ALLOW_PRIVATE.
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+const privateRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, includes cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3], // multicast and reserved
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || privateRanges.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+const privateAddressError = (hostname) =>
+  Object.assign(new Error(`${hostname} resolves to a private address`), {
+    code: "PRIVATE_ADDRESS",
+  });
+
+// Checks the addresses actually connected to, so a DNS change after the URL
+// was validated can't point deliveries at an internal host
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(privateAddressError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup }),
+};
+
+// Resolves the URL's host and throws if any of its addresses is private.
+// IP literals never reach the agents' lookup, so they are checked here.
+export const assertPublicUrl = async (url) => {
+  if (allowPrivate()) return;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw new HttpError(400, `Could not resolve ${hostname}`, "INVALID_WEBHOOK_URL");
+  }
+  if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+    throw new HttpError(400, "url must point to a public address", "INVALID_WEBHOOK_URL");
+  }
+};
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+// Receivers recompute this over "<timestamp>.<raw body>" with their secret
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// Validates the url / events / description / active fields of a create or
+// update body, only the ones present
+export const normalizeWebhook = async (body, { partial = false } = {}) => {
+  const webhook = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      throw new HttpError(400, "url must be an http(s) URL", "INVALID_WEBHOOK_URL");
+    }
+    await assertPublicUrl(url);
+    webhook.url = url.toString();
+  }
+
+  if (body.events !== undefined) {
+    const events = Array.isArray(body.events) ? body.events : null;
+    const unknown = events?.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (!events || unknown.length > 0) {
+      throw new HttpError(400, "Unknown webhook events", "INVALID_EVENTS", {
+        events: unknown,
+        allowed: WEBHOOK_EVENTS,
+      });
+    }
+    webhook.events = [...new Set(events)];
+  }
+
+  if (typeof body.description === "string") webhook.description = body.description.trim();
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") {
+      throw new HttpError(400, "active must be a boolean", "INVALID_WEBHOOK");
+    }
+    webhook.active = body.active;
+  }
+
+  return webhook;
+};
+
+// Session webhooks need co-host rights on their session, global ones an admin
+export const findWebhookFor = async (admin, webhookId) => {
+  const webhook = mongoose.isValidObjectId(webhookId) ? await Webhook.findById(webhookId) : null;
+  if (!webhook) {
+    throw new HttpError(404, "Webhook not found", "WEBHOOK_NOT_FOUND");
+  }
+
+  if (!webhook.sessionId) {
+    assertGlobalAdmin(admin, "Only administrators can manage global webhooks");
+    return webhook;
+  }
+
+  const session = await Session.findOne({ sessionId: webhook.sessionId }).select(
+    "sessionId ownerId hosts"
+  );
+  if (!session || !hasSessionRole(admin, session, "co-host")) {
+    throw new HttpError(403, "You don't have access to this session", "FORBIDDEN");
+  }
+  return webhook;
+};
+
+const backoffFor = (attempts) => RETRY_BASE_DELAY * 2 ** (attempts - 1);
+
+// Sends one delivery if it is due and nobody else is sending it. Failed
+// attempts are retried with exponential backoff up to MAX_ATTEMPTS.
+export const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "pending", nextAttemptAt: { $lte: now } },
+    {
+      $inc: { attempts: 1 },
+      lastAttemptAt: now,
+      nextAttemptAt: new Date(now.getTime() + ATTEMPT_LOCK),
+    },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhookId).select("+secret");
+  if (!webhook || (!webhook.active && delivery.event !== "ping")) {
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { status: "failed", error: "Webhook was removed or disabled" },
+      { new: true }
+    );
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const update = {};
+  try {
+    await assertPublicUrl(webhook.url);
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "now-you-know-me-webhooks",
+        "X-Webhook-Id": String(webhook._id),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      timeout: REQUEST_TIMEOUT,
+      maxRedirects: 0,
+      responseType: "text",
+      transformResponse: (data) => data,
+      validateStatus: () => true,
+      ...(!allowPrivate() && deliveryAgents),
+    });
+
+    update.responseStatus = response.status;
+    update.responseBody = String(response.data ?? "").slice(0, MAX_RESPONSE_BODY);
+    const ok = response.status >= 200 && response.status < 300;
+    update.error = ok ? null : `HTTP ${response.status}`;
+  } catch (error) {
+    update.responseStatus = null;
+    update.responseBody = null;
+    update.error = error.code || error.message;
+  }
+  update.durationMs = Date.now() - now.getTime();
+
+  if (!update.error) {
+    Object.assign(update, { status: "succeeded", deliveredAt: new Date() });
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    update.status = "failed";
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + backoffFor(delivery.attempts));
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+};
+
+// Receivers' answers can echo whatever the URL reached, so they are only
+// shown for global webhooks, which only administrators manage
+export const deliveryView = (webhook, delivery) => {
+  if (!delivery || !webhook.sessionId) return delivery;
+  const { responseBody, ...view } = delivery.toJSON();
+  return view;
+};
+
+// What deliveries say about the session itself
+export const sessionSummary = (session) => ({
+  sessionId: session.sessionId,
+  name: session.name,
+  status: session.status,
+  startedAt: session.startedAt || null,
+  endedAt: session.endedAt || null,
+});
+
+export const playerSummary = (player) => ({
+  playerId: player._id,
+  name: player.name,
+  teamId: player.teamId ?? null,
+});
+
+export const dispatchPlayerJoined = (player) =>
+  dispatchWebhookEvent(player.sessionId, "playerJoined", { player: playerSummary(player) });
+
+const createDelivery = (webhook, event, sessionId, data) => {
+  const _id = new mongoose.Types.ObjectId();
+  return WebhookDelivery.create({
+    _id,
+    webhookId: webhook._id,
+    sessionId,
+    event,
+    payload: { id: String(_id), event, sessionId, createdAt: new Date(), data },
+  });
+};
+
+// Queues `event` for every active webhook of the session and every global
+// one subscribed to it, and makes the first attempt right away. Never throws,
+// the game must not fail because a receiver is down.
+export const dispatchWebhookEvent = async (sessionId, event, data) => {
+  try {
+    const webhooks = await Webhook.find({
+      sessionId: { $in: [sessionId, null] },
+      active: true,
+      $or: [{ events: { $size: 0 } }, { events: event }],
+    });
+
+    for (const webhook of webhooks) {
+      const delivery = await createDelivery(webhook, event, sessionId, data);
+      attemptDelivery(delivery._id).catch((error) =>
+        console.error(`Error delivering webhook ${webhook._id}:`, error)
+      );
+    }
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhooks for session ${sessionId}:`, error);
+  }
+};
+
+// A "ping" with no game data, sent once without retries and returned with
+// its outcome
+export const sendTestDelivery = async (webhook, admin) => {
+  const delivery = await createDelivery(webhook, "ping", webhook.sessionId, {
+    message: "Test delivery",
+    requestedBy: admin.sub,
+  });
+
+  const result = await attemptDelivery(delivery._id);
+  if (result?.status !== "pending") return result;
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { status: "failed" }, { new: true });
+};
+
+// Retries come from this sweep, so they survive restarts and only one
+// instance sends each attempt
+const retryDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({
+    status: "pending",
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(50)
+    .select("_id");
+  for (const { _id } of due) {
+    await attemptDelivery(_id);
+  }
+};
+
+export const startWebhookRetries = () => {
+  setInterval(() => {
+    retryDueDeliveries().catch((error) => console.error("Error retrying webhooks:", error));
+  }, SWEEP_INTERVAL).unref();
+};
@@ -0,0 +1,54 @@
+/* global process */
+
+import dotenv from "dotenv";
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+dotenv.config();
+
+// Selfie storage, picked with STORAGE_DRIVER. Every driver implements:
+//   createUploadTarget({ key, contentType, maxSize, expiresIn }) -> { uploadUrl, fields }
+//   headObject(key) -> { contentType, size } | null
+//   readObject(key) -> { body, contentType } | null
+//   putObject(key, body, { contentType, size })
+//   deleteObject(key)
+//   deletePrefix(prefix) -> number of objects deleted
+//   publicUrl(key) / keyFromUrl(url)
+// and may expose a `router` mounted under /api/uploads.
+const drivers = {
+  s3: createS3Storage,
+  local: createLocalStorage,
+};
+
+const driver = process.env.STORAGE_DRIVER || "s3";
+if (!drivers[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}", use one of ${Object.keys(drivers).join(", ")}`);
+}
+
+const storage = drivers[driver]();
+
+export default storage;
+
+// Export archives hold a whole session's photos and must only be reachable
+// through the token-checked download route. They go to LOCAL_EXPORTS_DIR,
+// which is never served, or to the private AWS_EXPORTS_BUCKET. Null when S3
+// has no private bucket configured.
+const exportDrivers = {
+  s3: () =>
+    process.env.AWS_EXPORTS_BUCKET
+      ? createS3Storage({ bucket: process.env.AWS_EXPORTS_BUCKET })
+      : null,
+  local: () => createLocalStorage({ dir: process.env.LOCAL_EXPORTS_DIR || "exports", serve: false }),
+};
+
+export const exportStorage = exportDrivers[driver]();
+
+// Reads a whole object into memory, or returns null if it doesn't exist
+export const readObjectBuffer = async (key) => {
+  const object = await storage.readObject(key);
+  if (!object) return null;
+
+  const chunks = [];
+  for await (const chunk of object.body) chunks.push(Buffer.from(chunk));
+  return { buffer: Buffer.concat(chunks), contentType: object.contentType };
+};
@@ -0,0 +1,21 @@
+// Object keys are "/"-separated and may contain characters (e.g. spaces in
+// session ids) that need escaping in URLs
+export const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+// Inverse of encodeKey, null for malformed escapes in client-supplied URLs
+export const decodeKey = (encoded) => {
+  try {
+    return decodeURIComponent(encoded);
+  } catch {
+    return null;
+  }
+};
+
+// Rejects keys that could escape their prefix or the storage root
+export const isSafeKey = (key) =>
+  typeof key === "string" &&
+  key.length > 0 &&
+  key.length <= 512 &&
+  !key.startsWith("/") &&
+  !key.includes("\\") &&
+  key.split("/").every((segment) => segment && segment !== "." && segment !== "..");
@@ -0,0 +1,172 @@
+/* global process */
+
+import crypto from "crypto";
+import express from "express";
+import fs from "fs";
+import multer from "multer";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { decodeKey, encodeKey, isSafeKey } from "./keys.js";
+
+const HARD_UPLOAD_LIMIT = 20 * 1024 * 1024; // per-upload limits come from the policy
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".heic": "image/heic",
+};
+
+// Stores selfies on disk under LOCAL_STORAGE_DIR and serves them from
+// /api/uploads. Uploads mimic an S3 presigned POST: the client posts the
+// returned fields plus the file, and the signed policy pins key, type and size.
+// With serve: false nothing is exposed over HTTP, objects are only reachable
+// through readObject.
+export const createLocalStorage = ({
+  dir = process.env.LOCAL_STORAGE_DIR || "uploads",
+  serve = true,
+} = {}) => {
+  const root = path.resolve(dir);
+  const baseUrl = `${(
+    process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`
+  ).replace(/\/$/, "")}/api/uploads/`;
+
+  let secret = process.env.LOCAL_STORAGE_SECRET;
+  if (!secret) {
+    if (serve) console.warn("LOCAL_STORAGE_SECRET is not set, pending uploads will not survive a restart");
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+  const sign = (data) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+  const validSignature = (policy, signature) => {
+    const expected = Buffer.from(sign(policy));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  };
+
+  const filePath = (key) => {
+    if (!isSafeKey(key)) throw new Error(`Invalid storage key: ${key}`);
+    return path.join(root, ...key.split("/"));
+  };
+
+  const router = express.Router();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: HARD_UPLOAD_LIMIT, files: 1 },
+  }).single("file");
+
+  router.post("/", (req, res) => {
+    upload(req, res, async (uploadError) => {
+      try {
+        if (uploadError) {
+          return res.status(400).json({ error: uploadError.message });
+        }
+
+        const { policy, signature } = req.body;
+        if (!policy || !signature || !validSignature(policy, signature)) {
+          return res.status(403).json({ error: "Invalid upload policy" });
+        }
+
+        const { key, contentType, maxSize, exp } = JSON.parse(
+          Buffer.from(policy, "base64url").toString()
+        );
+        if (exp < Date.now()) {
+          return res.status(403).json({ error: "Upload policy expired" });
+        }
+        if (req.body.key !== key || req.body["Content-Type"] !== contentType) {
+          return res.status(403).json({ error: "Upload does not match policy" });
+        }
+        if (!req.file || req.file.size < 1 || req.file.size > maxSize) {
+          return res.status(400).json({ error: "File is missing or too large" });
+        }
+
+        const target = filePath(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, req.file.buffer);
+
+        res.status(204).end();
+      } catch (error) {
+        console.error("Error storing local upload:", error);
+        res.status(500).json({ error: "Failed to store upload" });
+      }
+    });
+  });
+
+  router.use(express.static(root, { index: false, dotfiles: "deny", fallthrough: false }));
+
+  return {
+    name: "local",
+    router: serve ? router : undefined,
+
+    createUploadTarget: async ({ key, contentType, maxSize, expiresIn }) => {
+      const policy = Buffer.from(
+        JSON.stringify({ key, contentType, maxSize, exp: Date.now() + expiresIn * 1000 })
+      ).toString("base64url");
+
+      return {
+        uploadUrl: baseUrl,
+        fields: { key, "Content-Type": contentType, policy, signature: sign(policy) },
+      };
+    },
+
+    headObject: async (key) => {
+      try {
+        const stats = await fs.promises.stat(filePath(key));
+        return {
+          contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream",
+          size: stats.size,
+        };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    readObject: async (key) => {
+      const head = await fs.promises.stat(filePath(key)).catch((error) => {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      });
+      if (!head) return null;
+
+      return {
+        body: fs.createReadStream(filePath(key)),
+        contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream",
+      };
+    },
+
+    putObject: async (key, body) => {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(target, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(target));
+      }
+    },
+
+    deleteObject: async (key) => {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+
+    // Prefixes are whole folders here, e.g. "<sessionId>/"
+    deletePrefix: async (prefix) => {
+      const folder = filePath(prefix.replace(/\/$/, ""));
+      const files = await fs.promises
+        .readdir(folder, { recursive: true, withFileTypes: true })
+        .catch((error) => {
+          if (error.code === "ENOENT") return [];
+          throw error;
+        });
+      await fs.promises.rm(folder, { recursive: true, force: true });
+      return files.filter((entry) => entry.isFile()).length;
+    },
+
+    publicUrl: (key) => `${baseUrl}${encodeKey(key)}`,
+
+    keyFromUrl: (url) =>
+      typeof url === "string" && url.startsWith(baseUrl)
+        ? decodeKey(url.slice(baseUrl.length).split("?")[0])
+        : null,
+  };
+};
@@ -0,0 +1,112 @@
+/* global process */
+
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import { decodeKey, encodeKey } from "./keys.js";
+
+// Stores selfies in AWS_BUCKET_NAME, served from the bucket's public URL
+export const createS3Storage = ({ bucket = process.env.AWS_BUCKET_NAME } = {}) => {
+  const client = new S3Client({
+    region: process.env.AWS_REGION,
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+  });
+  const baseUrl = `https://${bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/`;
+
+  const isNotFound = (error) =>
+    error.name === "NotFound" ||
+    error.name === "NoSuchKey" ||
+    error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: "s3",
+
+    createUploadTarget: async ({ key, contentType, maxSize, expiresIn }) => {
+      const { url, fields } = await createPresignedPost(client, {
+        Bucket: bucket,
+        Key: key,
+        Conditions: [
+          ["content-length-range", 1, maxSize],
+          ["eq", "$Content-Type", contentType],
+        ],
+        Fields: { "Content-Type": contentType },
+        Expires: expiresIn,
+      });
+      return { uploadUrl: url, fields };
+    },
+
+    headObject: async (key) => {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { contentType: head.ContentType, size: head.ContentLength };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    readObject: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { body: object.Body, contentType: object.ContentType };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    // body is a Buffer or a stream of known size
+    putObject: async (key, body, { contentType, size } = {}) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          ContentLength: size,
+        })
+      );
+    },
+
+    deleteObject: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // Lists and deletes in pages of up to 1000 keys, S3's batch limit
+    deletePrefix: async (prefix) => {
+      let deleted = 0;
+      let ContinuationToken;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken })
+        );
+        const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+        if (objects.length > 0) {
+          await client.send(
+            new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: objects, Quiet: true } })
+          );
+          deleted += objects.length;
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return deleted;
+    },
+
+    publicUrl: (key) => `${baseUrl}${encodeKey(key)}`,
+
+    keyFromUrl: (url) =>
+      typeof url === "string" && url.startsWith(baseUrl)
+        ? decodeKey(url.slice(baseUrl.length).split("?")[0])
+        : null,
+  };
+};
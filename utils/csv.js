@@ -0,0 +1,16 @@
+// Quotes a value for CSV. Cells starting with =, +, - or @ are prefixed with
+// a quote so spreadsheet apps don't evaluate them as formulas.
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "number") return String(value);
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => any }]
+export const toCsv = (rows, columns) =>
+  [
+    columns.map((column) => escapeCell(column.header)).join(","),
+    ...rows.map((row) => columns.map((column) => escapeCell(column.value(row))).join(",")),
+  ].join("\r\n") + "\r\n";
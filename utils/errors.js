@@ -0,0 +1,16 @@
+// Error carrying an HTTP status and a machine-readable code, thrown by the
+// game services and turned into a JSON response by the routes
+export class HttpError extends Error {
+  constructor(status, message, code, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const sendHttpError = (res, error) =>
+  res
+    .status(error.status)
+    .json({ error: error.message, code: error.code, ...error.details });